@@ -0,0 +1,20 @@
+// Internal helpers shared by the modules; not part of the public API.
+
+// Fallbacks for runtimes without explicit resource management.
+export const dispose = Symbol.dispose || Symbol.for('Symbol.dispose');
+export const asyncDispose = Symbol.asyncDispose || Symbol.for('Symbol.asyncDispose');
+
+
+/**
+ * A short label for an owner or primitive in diagnostics, e.g. `Task<worker-1>`.
+ *
+ * @param {*} owner
+ * @returns {String|undefined} {@link undefined} when there is no owner.
+ */
+export function describeOwner(owner) {
+    if (owner == null) {
+        return;
+    }
+    const type = owner.constructor ? owner.constructor.name : typeof owner;
+    return owner.name ? `${type}<${owner.name}>` : type;
+}
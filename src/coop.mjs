@@ -2,3 +2,4 @@ export * from './futures.mjs';
 export * from './locks.mjs';
 export * from './queues.mjs';
 export * from './jobs.mjs';
+export * from './tasks.mjs';
@@ -1,13 +1,183 @@
-/* global FinalizationRegistry */
+/* global FinalizationRegistry, WeakRef */
+
+import {describeOwner, dispose} from './_util.mjs';
+
+function defaultFinalizationHandler(info) {
+    console.error("Unfinished future detected", info.label || '', info.owner || '', info.stack);
+}
+let finalizationHandler = defaultFinalizationHandler;
 
 let gcRegistry;
 try {
-    gcRegistry = new FinalizationRegistry(stack => {
-        console.error("Unfinished future detected", stack);
-    });
+    gcRegistry = new FinalizationRegistry(info => finalizationHandler(info));
 } catch(e) {/*no-pragma*/}
 
 
+/**
+ * @typedef UnfinishedFutureInfo
+ * @type {Object}
+ * @property {String} [label] - The label of the {@link Future}.
+ * @property {String} [owner] - A description of the primitive that created the {@link Future}.
+ * @property {String} stack - The stack trace of where the {@link Future} was created.
+ */
+
+/**
+ * Set the handler for Futures created with the `trackFinalization` option that are
+ * garbage collected before being fulfilled or cancelled.  The default handler logs
+ * them with `console.error`.
+ *
+ * @param {Function} [handler] - Invoked with an {@link UnfinishedFutureInfo}.  Omit to
+ *                               restore the default handler.
+ */
+export function setFinalizationHandler(handler) {
+    finalizationHandler = handler || defaultFinalizationHandler;
+}
+
+
+let pendingFutures = null;
+let pendingCleanup;
+let pendingIdCounter = 0;
+
+/**
+ * Enable or disable the tracking of all pending Futures.  This is a debugging
+ * aid for finding Futures that are never fulfilled or cancelled, such as a
+ * forgotten [Queue.wait]{@link Queue#wait}.  It captures a stack trace for every
+ * new {@link Future}, so it should not be left on in production unless needed.
+ *
+ * @param {boolean} [enabled=true]
+ */
+export function trackPendingFutures(enabled=true) {
+    if (enabled && !pendingFutures) {
+        pendingFutures = new Map();
+        if (!pendingCleanup && typeof FinalizationRegistry !== 'undefined') {
+            pendingCleanup = new FinalizationRegistry(id => pendingFutures && pendingFutures.delete(id));
+        }
+    } else if (!enabled) {
+        pendingFutures = null;
+    }
+}
+
+
+/**
+ * @typedef PendingFutureInfo
+ * @type {Object}
+ * @property {Future} future
+ * @property {String} [label] - The label of the {@link Future}.
+ * @property {Object} [owner] - The primitive that created the {@link Future}, e.g. a {@link Queue}.
+ * @property {String} stack - The stack trace of where the {@link Future} was created.
+ * @property {Number} created - Timestamp (ms) of when the {@link Future} was created.
+ * @property {Number} age - Milliseconds since the {@link Future} was created.
+ */
+
+/**
+ * Get the pending Futures that were created while
+ * [tracking]{@link trackPendingFutures} was enabled, oldest first.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.minAge=0] - Only include Futures at least this many milliseconds old.
+ * @returns {Array<PendingFutureInfo>}
+ */
+export function getPendingFutures(options={}) {
+    const minAge = options.minAge || 0;
+    const now = Date.now();
+    const results = [];
+    if (!pendingFutures) {
+        return results;
+    }
+    for (const [id, entry] of pendingFutures) {
+        const future = entry.ref.deref();
+        if (!future) {
+            pendingFutures.delete(id);
+            continue;
+        }
+        const age = now - entry.created;
+        if (age >= minAge) {
+            results.push({
+                future,
+                label: future.label,
+                owner: entry.owner && entry.owner.deref(),
+                stack: entry.stack,
+                created: entry.created,
+                age,
+            });
+        }
+    }
+    return results;
+}
+
+
+/**
+ * Log the pending Futures that are suspected of being leaked.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.minAge=0] - Only report Futures at least this many milliseconds old.
+ * @param {Function} [options.log=console.warn] - The logging function.
+ * @returns {Array<PendingFutureInfo>} The reported Futures.
+ */
+export function reportLeaks(options={}) {
+    const log = options.log || console.warn;
+    const leaks = getPendingFutures(options);
+    for (const x of leaks) {
+        log(`Pending future (${x.age}ms): ${x.label || ''} ${describeOwner(x.owner) || ''}`, x.stack);
+    }
+    return leaks;
+}
+
+
+function defaultCallbackErrorHandler(error, future) {
+    console.error("Future callback error:", error);
+}
+let callbackErrorHandler = defaultCallbackErrorHandler;
+
+
+/**
+ * Set the global handler for errors thrown by {@link Future} callbacks.  Errors in
+ * callbacks are isolated so they can not prevent other callbacks from running.
+ * The default handler logs them with `console.error`.
+ *
+ * @param {Function} [handler] - Invoked with the error and the {@link Future}.  Omit
+ *                               to restore the default handler.
+ */
+export function setCallbackErrorHandler(handler) {
+    callbackErrorHandler = handler || defaultCallbackErrorHandler;
+}
+
+
+/**
+ * Indicates that a {@link Future} was cancelled.  This is the error that awaiters
+ * of a cancelled Future will be rejected with.
+ *
+ * @extends external:Error
+ */
+export class CancelledError extends Error {}
+
+
+/**
+ * Indicates that a wait did not complete before its deadline.
+ *
+ * @extends external:Error
+ */
+export class TimeoutError extends Error {}
+
+
+/**
+ * @typedef WaitOptions
+ * @type {Object}
+ * @property {Number} [timeout] - Milliseconds to wait before giving up with a {@link TimeoutError}.
+ * @property {external:AbortSignal} [signal] - Abort the wait when this signal is aborted.  The wait
+ *                                            is rejected with the signal's reason.
+ */
+
+
+/**
+ * @typedef FutureOptions
+ * @type {Object}
+ * @property {String} [label] - A label used for debugging.
+ * @property {Object} [owner] - The primitive that created the Future, used for debugging.
+ * @property {boolean} [trackFinalization] - Report the Future if it is garbage collected
+ *                                           while still pending.  See {@link setFinalizationHandler}.
+ */
+
 /**
  * A [Promise]{@link external:Promise}-like object that allows for easy external fulfillment.
  * Future objects can also be cancelled to indicate to the fulfiller that the Future is no
@@ -15,6 +185,7 @@ try {
  * [asyncio.Future]{@link https://docs.python.org/3/library/asyncio-future.html}
  *
  * @extends external:Promise
+ * @param {FutureOptions} [options]
  */
 export class Future extends Promise {
     constructor(options={}) {
@@ -29,9 +200,32 @@ export class Future extends Promise {
         this._pending = true;
         this._cancelled = false;
         this._callbacks = [];
+        this._doneCallbacks = [];
+        this._abortController = null;
+        this._label = options.label;
+        this._pendingId = null;
         this._trackFinalization = options.trackFinalization && gcRegistry;
-        if (this._trackFinalization) {
-            gcRegistry.register(this, (new Error()).stack, this);
+        if (this._trackFinalization || pendingFutures) {
+            const stack = (new Error()).stack;
+            if (this._trackFinalization) {
+                gcRegistry.register(this, {
+                    label: this._label,
+                    owner: describeOwner(options.owner),
+                    stack
+                }, this);
+            }
+            if (pendingFutures) {
+                this._pendingId = ++pendingIdCounter;
+                pendingFutures.set(this._pendingId, {
+                    ref: new WeakRef(this),
+                    owner: options.owner && new WeakRef(options.owner),
+                    stack,
+                    created: Date.now(),
+                });
+                if (pendingCleanup) {
+                    pendingCleanup.register(this, this._pendingId);
+                }
+            }
         }
     }
 
@@ -40,24 +234,85 @@ export class Future extends Promise {
         return Promise;
     }
 
+    /**
+     * Create a new Future from any awaitable.  When the awaitable is a Future the
+     * two are linked so that cancelling either one cancels the other.
+     *
+     * @param {Future|external:Promise|*} awaitable
+     * @returns {Future}
+     */
+    static from(awaitable) {
+        return wrapAwaitable(awaitable);
+    }
+
+    /**
+     * Create a Future that is rejected with the reason of an
+     * [AbortSignal]{@link external:AbortSignal} when it is aborted.
+     *
+     * @param {external:AbortSignal} signal
+     * @returns {Future} A Future that is only ever rejected.
+     */
+    static fromSignal(signal) {
+        const f = new Future();
+        if (signal.aborted) {
+            f.setError(abortReason(signal));
+        } else {
+            const onAbort = () => !f.done() && f.setError(abortReason(signal));
+            signal.addEventListener('abort', onAbort, {once: true});
+            f.addImmediateCallback(() => signal.removeEventListener('abort', onAbort));
+        }
+        return f;
+    }
+
     get [Symbol.toStringTag]() {
         return 'Future';
     }
 
     /**
-     * Cancel the future and run callbacks.
+     * The optional label given to this Future, used for debugging.
      *
+     * @type {String}
+     */
+    get label() {
+        return this._label;
+    }
+
+    /**
+     * Cancel the future and run callbacks.  Any awaiters of the Future will be
+     * rejected with a {@link CancelledError}.
+     *
+     * @param {String} [msg] - An optional message for the {@link CancelledError}.
      * @returns {boolean} {@link true} if {@link Future} was pending, otherwise {@link false}
      */
-    cancel() {
+    cancel(msg) {
         if (!this._pending) {
             return false;
         }
         this._cancelled = true;
+        this._error = new CancelledError(msg);
+        // Cancellation is routinely used to discard unobserved Futures, so it
+        // must not be reported as an unhandled rejection.
+        this.catch(() => void 0);
+        this._reject(this._error);
         this._setDone();
         return true;
     }
 
+    /**
+     * An [AbortSignal]{@link external:AbortSignal} that is aborted when this Future is
+     * cancelled.  The abort reason is the {@link CancelledError}.  This is useful for
+     * passing a Future's cancellation along to APIs like `fetch`.
+     *
+     * @type {external:AbortSignal}
+     */
+    get signal() {
+        if (!this._abortController) {
+            this._abortController = new AbortController();
+            this.addImmediateCallback(() => this._cancelled && this._abortController.abort(this._error));
+        }
+        return this._abortController.signal;
+    }
+
     /**
      * Indicates if the Future was cancelled.
      *
@@ -80,11 +335,12 @@ export class Future extends Promise {
      * Return the result of a fulfilled Future.  If the Future is not fulfilled
      * it will throw an Error.
      *
+     * @throws {CancelledError} If the Future was cancelled.
      * @returns {*}
      */
     result() {
         if (this._cancelled) {
-            throw new Error('Cancelled Future');
+            throw this._error;
         }
         if (this._pending) {
             throw new Error('Unfulfilled Future');
@@ -99,11 +355,12 @@ export class Future extends Promise {
      * Return the Error of a fulfilled but rejected Future.  If the Future is not
      * done it will throw an Error.
      *
+     * @throws {CancelledError} If the Future was cancelled.
      * @returns {Error}
      */
     error() {
         if (this._cancelled) {
-            throw new Error('Cancelled Future');
+            throw this._error;
         }
         if (this._pending) {
             throw new Error('Unfulfilled Future');
@@ -111,6 +368,50 @@ export class Future extends Promise {
         return this._error;
     }
 
+    /**
+     * Like [then]{@link external:Promise#then} but returns a {@link Future} that stays
+     * linked to this one.  Cancelling the returned Future cancels this Future and
+     * any Future returned by the handlers.  If this Future is cancelled the returned
+     * Future is cancelled too, without calling the handlers.
+     *
+     * @param {Function} [onFulfilled] - Called with the result of this Future.
+     * @param {Function} [onRejected] - Called with the error of this Future.
+     * @returns {Future} A Future for the return value of the handler.
+     * @example
+     * const f = queue.get().chain(item => lock.acquire().chain(() => item));
+     * f.cancel(); // Cancels whichever of the get or acquire is pending.
+     */
+    chain(onFulfilled, onRejected) {
+        const derived = new Future();
+        derived.addImmediateCallback(() => derived.cancelled() && this.cancel());
+        this.addImmediateCallback(() => {
+            if (this._cancelled && !derived.done()) {
+                derived.cancel(this._error.message || undefined);
+            }
+        });
+        const settle = () => {
+            if (derived.done() || this._cancelled) {
+                return;
+            }
+            const failed = this._error !== undefined;
+            const handler = failed ? onRejected : onFulfilled;
+            if (!handler) {
+                copyFutureState(this, derived);
+                return;
+            }
+            let value;
+            try {
+                value = handler(failed ? this._error : this._result);
+            } catch(e) {
+                derived.setError(e);
+                return;
+            }
+            adoptAwaitable(derived, value);
+        };
+        this.then(settle, settle);
+        return derived;
+    }
+
     /**
      * Add a callback that is executed immediately on fulfillment of the Future.
      * For some use cases it is not acceptable to let the event loop run other
@@ -120,12 +421,47 @@ export class Future extends Promise {
      */
     addImmediateCallback(callback) {
         if (!this._pending) {
-            callback(this);
+            this._invokeCallback(callback);
         } else {
             this._callbacks.push(callback);
         }
     }
 
+    /**
+     * Remove a callback added with [addImmediateCallback]{@link Future#addImmediateCallback}.
+     *
+     * @param {Function} callback
+     * @returns {Number} The number of callbacks removed.
+     */
+    removeImmediateCallback(callback) {
+        return removeCallback(this._callbacks, callback);
+    }
+
+    /**
+     * Add a callback that is executed on a microtask after fulfillment of the Future.
+     * Unlike [addImmediateCallback]{@link Future#addImmediateCallback} the code that
+     * fulfills the Future is not interrupted by the callback.
+     *
+     * @param {Function} callback - A callback that is invoked with this Future.
+     */
+    addDoneCallback(callback) {
+        if (!this._pending) {
+            queueMicrotask(() => this._invokeCallback(callback));
+        } else {
+            this._doneCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Remove a callback added with [addDoneCallback]{@link Future#addDoneCallback}.
+     *
+     * @param {Function} callback
+     * @returns {Number} The number of callbacks removed.
+     */
+    removeDoneCallback(callback) {
+        return removeCallback(this._doneCallbacks, callback);
+    }
+
     /**
      * Set the result of a Future and resolve it.  The Future will be put into
      * the fulfilled state and any functions awaiting the result will be resumed
@@ -147,6 +483,9 @@ export class Future extends Promise {
         if (this._trackFinalization) {
             gcRegistry.unregister(this);
         }
+        if (this._pendingId !== null && pendingFutures) {
+            pendingFutures.delete(this._pendingId);
+        }
         this._runCallbacks();
     }
 
@@ -167,13 +506,506 @@ export class Future extends Promise {
     }
 
     _runCallbacks() {
-        for (const cb of this._callbacks) {
-            cb(this);
+        const callbacks = this._callbacks;
+        const doneCallbacks = this._doneCallbacks;
+        this._callbacks = [];
+        this._doneCallbacks = [];
+        for (const cb of callbacks) {
+            this._invokeCallback(cb);
+        }
+        for (const cb of doneCallbacks) {
+            queueMicrotask(() => this._invokeCallback(cb));
+        }
+    }
+
+    _invokeCallback(callback) {
+        try {
+            callback(this);
+        } catch(e) {
+            callbackErrorHandler(e, this);
+        }
+    }
+}
+
+
+function removeCallback(callbacks, callback) {
+    let count = 0;
+    for (let i = callbacks.length - 1; i >= 0; i--) {
+        if (callbacks[i] === callback) {
+            callbacks.splice(i, 1);
+            count++;
+        }
+    }
+    return count;
+}
+
+
+function abortReason(signal) {
+    return signal.reason !== undefined ? signal.reason : new CancelledError('Aborted');
+}
+
+
+function copyFutureState(source, dest) {
+    if (source.cancelled()) {
+        dest.cancel(source._error.message || undefined);
+    } else if (source._error !== undefined) {
+        // The error is handed off to `dest`, so `source` is no longer unobserved.
+        source.catch(() => void 0);
+        dest.setError(source._error);
+    } else {
+        dest.setResult(source._result);
+    }
+}
+
+
+/**
+ * Wait for an awaitable to complete with a time limit.  If the deadline passes
+ * first the awaitable is cancelled (when it is a {@link Future}) and the returned
+ * {@link Future} is rejected with a {@link TimeoutError}.  Cancelling the returned
+ * {@link Future} also cancels the awaitable.
+ *
+ * @see Python's [asyncio.wait_for]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.wait_for}
+ * @param {Future|external:Promise|*} awaitable - The work to wait on.
+ * @param {Number} [ms] - Milliseconds to wait before timing out.  A null value waits forever.
+ * @returns {Future<*>} The result of the awaitable.
+ * @example
+ * try {
+ *     await waitFor(lock.acquire(), 1000);
+ * } catch(e) {
+ *     if (e instanceof TimeoutError) {
+ *         // The acquire was cancelled and the lock is not held.
+ *     }
+ * }
+ */
+export function waitFor(awaitable, ms) {
+    const outer = wrapAwaitable(awaitable);
+    if (ms != null && !outer.done()) {
+        const timeout = setTimeout(() => {
+            if (!outer.done()) {
+                outer.setError(new TimeoutError(`Timeout after ${ms}ms`));
+            }
+        }, ms);
+        outer.addImmediateCallback(() => clearTimeout(timeout));
+    }
+    return outer;
+}
+
+
+function wrapAwaitable(awaitable) {
+    return adoptAwaitable(new Future(), awaitable);
+}
+
+
+function adoptAwaitable(outer, awaitable) {
+    if (awaitable instanceof Future) {
+        outer.addImmediateCallback(() => awaitable.cancel());
+        // Propagate state synchronously so a completed acquisition can't be
+        // orphaned by a cancellation arriving in the same tick.
+        awaitable.addImmediateCallback(() => !outer.done() && copyFutureState(awaitable, outer));
+    } else if (awaitable && typeof awaitable.then === 'function') {
+        Promise.resolve(awaitable).then(
+            x => !outer.done() && outer.setResult(x),
+            e => !outer.done() && outer.setError(e));
+    } else {
+        outer.setResult(awaitable);
+    }
+    return outer;
+}
+
+
+function abortable(awaitable, signal) {
+    const outer = wrapAwaitable(awaitable);
+    if (signal.aborted) {
+        if (!outer.done()) {
+            outer.setError(abortReason(signal));
+        }
+    } else if (!outer.done()) {
+        const onAbort = () => !outer.done() && outer.setError(abortReason(signal));
+        signal.addEventListener('abort', onAbort, {once: true});
+        outer.addImmediateCallback(() => signal.removeEventListener('abort', onAbort));
+    }
+    return outer;
+}
+
+
+/**
+ * Apply the common {@link WaitOptions} to a pending wait.  This is used by the
+ * blocking methods of the various primitives and is also suitable for custom ones.
+ * If no options apply, the awaitable is returned unmodified.
+ *
+ * @param {Future|external:Promise} awaitable - The pending wait.
+ * @param {WaitOptions} [options]
+ * @returns {Future|external:Promise} The awaitable or a {@link Future} wrapping it.
+ */
+export function withWaitOptions(awaitable, options) {
+    if (!options || (awaitable instanceof Future && awaitable.done())) {
+        return awaitable;
+    }
+    if (options.timeout != null) {
+        awaitable = waitFor(awaitable, options.timeout);
+    }
+    if (options.signal) {
+        awaitable = abortable(awaitable, options.signal);
+    }
+    return awaitable;
+}
+
+
+/**
+ * A deadline that covers a block of work, created with {@link timeoutScope}.
+ *
+ * @see Python's [asyncio.Timeout]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.Timeout}
+ * @param {Number} [ms] - Milliseconds until the deadline.  A null value disables the deadline.
+ * @param {Object} [options]
+ * @param {external:AbortSignal} [options.signal] - A parent signal, such as the signal of
+ *        another TimeoutScope or a {@link Task}.  The scope is aborted when it is.
+ */
+export class TimeoutScope {
+    constructor(ms, options={}) {
+        this._abortController = new AbortController();
+        this._expired = false;
+        this._deadline = null;
+        this._timeout = null;
+        this._parentSignal = options.signal;
+        this._onParentAbort = null;
+        if (this._parentSignal && this._parentSignal.aborted) {
+            // Already finished; there is no deadline to track.
+            this._abortController.abort(abortReason(this._parentSignal));
+            return;
+        }
+        if (this._parentSignal) {
+            this._onParentAbort = () => this._abort(abortReason(this._parentSignal));
+            this._parentSignal.addEventListener('abort', this._onParentAbort, {once: true});
+        }
+        this.reschedule(ms != null ? Date.now() + ms : null);
+    }
+
+    /**
+     * An [AbortSignal]{@link external:AbortSignal} that is aborted with a
+     * {@link TimeoutError} when the deadline passes.  Pass this to every wait
+     * that should be bound by the scope.
+     *
+     * @type {external:AbortSignal}
+     */
+    get signal() {
+        return this._abortController.signal;
+    }
+
+    /**
+     * @returns {Number|null} The deadline timestamp (ms) or {@link null} if there is none.
+     */
+    deadline() {
+        return this._deadline;
+    }
+
+    /**
+     * @returns {boolean} {@link true} if the deadline of this scope has passed.
+     */
+    expired() {
+        return this._expired;
+    }
+
+    /**
+     * Change the deadline of this scope.
+     *
+     * @param {Number|null} deadline - A new deadline timestamp (ms) or {@link null} to disable it.
+     * @throws {Error} If the scope has already expired or was aborted.
+     */
+    reschedule(deadline) {
+        if (this.signal.aborted) {
+            throw new Error('Timeout scope is already finished');
+        }
+        clearTimeout(this._timeout);
+        this._timeout = null;
+        this._deadline = deadline;
+        if (deadline != null) {
+            this._timeout = setTimeout(() => {
+                this._expired = true;
+                this._abort(new TimeoutError('Timeout scope expired'));
+            }, Math.max(0, deadline - Date.now()));
+        }
+    }
+
+    /**
+     * Stop tracking the deadline.  This should be called when the work covered by
+     * the scope is finished so the timer does not linger.
+     */
+    close() {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+        if (this._onParentAbort) {
+            this._parentSignal.removeEventListener('abort', this._onParentAbort);
+            this._onParentAbort = null;
+        }
+    }
+
+    [dispose]() {
+        this.close();
+    }
+
+    _abort(reason) {
+        this.close();
+        if (!this.signal.aborted) {
+            this._abortController.abort(reason);
+        }
+    }
+}
+
+
+/**
+ * Create a {@link TimeoutScope} that bounds a whole block of work by one deadline.
+ * JavaScript has no context-local state that survives an `await`, so each wait
+ * joins the scope by passing its [signal]{@link TimeoutScope#signal}.  Waits that
+ * are still pending when the deadline passes are cancelled and rejected with a
+ * {@link TimeoutError}.  Nested scopes are created by passing the signal of the
+ * outer scope, so whichever deadline is tighter wins.
+ *
+ * @see Python's [asyncio.timeout]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.timeout}
+ * @param {Number} [ms] - Milliseconds until the deadline.  A null value disables the deadline.
+ * @param {Object} [options]
+ * @param {external:AbortSignal} [options.signal] - A parent signal.
+ * @returns {TimeoutScope}
+ * @example
+ * using scope = timeoutScope(5000);
+ * await lock.acquire({signal: scope.signal});
+ * try {
+ *     const item = await queue.get({signal: scope.signal});
+ *     await limiter.wait({signal: scope.signal});
+ * } finally {
+ *     lock.release();
+ * }
+ */
+export function timeoutScope(ms, options) {
+    return new TimeoutScope(ms, options);
+}
+
+function ensureFuture(awaitable) {
+    if (awaitable instanceof Future) {
+        return awaitable;
+    }
+    const f = new Future();
+    // The wrapper is internal, errors are observed through its callbacks.
+    f.catch(() => void 0);
+    Promise.resolve(awaitable).then(x => f.setResult(x), e => f.setError(e));
+    return f;
+}
+
+
+/**
+ * Protect an awaitable from cancellation.  The returned {@link Future} follows the
+ * result of the awaitable, but cancelling it leaves the awaitable running.
+ *
+ * @see Python's [asyncio.shield]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.shield}
+ * @param {Future|external:Promise|*} awaitable
+ * @returns {Future}
+ * @example
+ * const saving = save(data);
+ * try {
+ *     await waitFor(shield(saving), 1000);
+ * } catch(e) {
+ *     // The save is still running...
+ * }
+ */
+export function shield(awaitable) {
+    const inner = ensureFuture(awaitable);
+    if (inner.done()) {
+        return inner;
+    }
+    const outer = new Future();
+    inner.addImmediateCallback(() => !outer.done() && copyFutureState(inner, outer));
+    return outer;
+}
+
+/**
+ * @typedef GatherOptions
+ * @type {Object}
+ * @property {boolean} [returnExceptions] - When set to {@link true} errors are returned
+ *                                          in the results instead of rejecting.
+ */
+
+/**
+ * Wait for all the awaitables to complete and return their results in the same
+ * order they were provided.  Unless [returnExceptions]{@link GatherOptions} is set,
+ * the first error rejects the returned {@link Future}, but the other awaitables
+ * are not cancelled.  Cancelling the returned {@link Future} cancels all the
+ * awaitables that are still pending.
+ *
+ * @see Python's [asyncio.gather]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.gather}
+ * @param {Iterable<Future|external:Promise|*>} awaitables
+ * @param {GatherOptions} [options]
+ * @returns {Future<Array<*>>} The results of every awaitable.
+ */
+export function gather(awaitables, options={}) {
+    const children = Array.from(awaitables, ensureFuture);
+    const results = new Array(children.length);
+    const outer = new Future();
+    let remaining = children.length;
+    if (!remaining) {
+        outer.setResult(results);
+        return outer;
+    }
+    outer.addImmediateCallback(() => {
+        if (outer.cancelled()) {
+            for (const x of children) {
+                x.cancel();
+            }
         }
+    });
+    for (const [i, child] of children.entries()) {
+        child.addImmediateCallback(() => {
+            let result;
+            try {
+                result = child.result();
+            } catch(e) {
+                child.catch(() => void 0);
+                if (!options.returnExceptions) {
+                    if (!outer.done()) {
+                        outer.setError(e);
+                    }
+                    return;
+                }
+                result = e;
+            }
+            results[i] = result;
+            if (!--remaining && !outer.done()) {
+                outer.setResult(results);
+            }
+        });
     }
+    return outer;
 }
 
 
+/**
+ * Return when any of the awaitables completes.
+ * @constant
+ */
+export const FIRST_COMPLETED = 'FIRST_COMPLETED';
+
+/**
+ * Return when any of the awaitables fails, or when all of them complete.
+ * @constant
+ */
+export const FIRST_EXCEPTION = 'FIRST_EXCEPTION';
+
+/**
+ * Return when all of the awaitables complete.
+ * @constant
+ */
+export const ALL_COMPLETED = 'ALL_COMPLETED';
+
+/**
+ * @typedef WaitResult
+ * @type {Object}
+ * @property {Set<Future>} done - The completed Futures.
+ * @property {Set<Future>} pending - The Futures that are still pending.
+ */
+
+/**
+ * Wait for a set of awaitables until the `returnWhen` condition is met or the
+ * timeout expires.  Unlike {@link waitFor} a timeout does not raise an error and
+ * nothing is cancelled.  Awaitables that are not a {@link Future} are wrapped in one.
+ *
+ * @see Python's [asyncio.wait]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.wait}
+ * @param {Iterable<Future|external:Promise|*>} awaitables
+ * @param {Object} [options]
+ * @param {String} [options.returnWhen=ALL_COMPLETED] - One of {@link FIRST_COMPLETED},
+ *                                                      {@link FIRST_EXCEPTION} or {@link ALL_COMPLETED}.
+ * @param {Number} [options.timeout] - The max number of milliseconds to wait.
+ * @returns {Future<WaitResult>}
+ */
+export function wait(awaitables, options={}) {
+    const returnWhen = options.returnWhen || ALL_COMPLETED;
+    if (![FIRST_COMPLETED, FIRST_EXCEPTION, ALL_COMPLETED].includes(returnWhen)) {
+        throw new TypeError(`Invalid returnWhen: ${returnWhen}`);
+    }
+    const children = Array.from(awaitables, ensureFuture);
+    if (!children.length) {
+        throw new TypeError('Set of awaitables is empty');
+    }
+    const done = new Set();
+    const pending = new Set();
+    const outer = new Future();
+    const check = f => {
+        if (!pending.size ||
+            returnWhen === FIRST_COMPLETED ||
+            (returnWhen === FIRST_EXCEPTION && !f.cancelled() && f._error !== undefined)) {
+            outer.setResult({done, pending});
+        }
+    };
+    for (const f of children) {
+        // Errors are retrieved by the caller via the done set.
+        f.catch(() => void 0);
+        (f.done() ? done : pending).add(f);
+    }
+    for (const f of done) {
+        if (!outer.done()) {
+            check(f);
+        }
+    }
+    if (outer.done()) {
+        return outer;
+    }
+    for (const f of pending) {
+        f.addImmediateCallback(() => {
+            if (!outer.done()) {
+                pending.delete(f);
+                done.add(f);
+                check(f);
+            }
+        });
+    }
+    if (options.timeout != null) {
+        const timeout = setTimeout(() => !outer.done() && outer.setResult({done, pending}),
+                                   options.timeout);
+        outer.addImmediateCallback(() => clearTimeout(timeout));
+    }
+    return outer;
+}
+
+
+/**
+ * An async generator that yields the results of the awaitables in the order they
+ * complete.  Errors are thrown from the generator as they are encountered.
+ *
+ * @see Python's [asyncio.as_completed]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.as_completed}
+ * @generator
+ * @param {Iterable<Future|external:Promise|*>} awaitables
+ * @param {WaitOptions} [options]
+ * @throws {TimeoutError} If the [timeout]{@link WaitOptions} expires before all
+ *                        awaitables are completed.
+ * @yields {*} Results from the awaitables as soon as they are ready.
+ * @example
+ * for await (const x of asCompleted([fetch(a), fetch(b)], {timeout: 1000})) {
+ *     console.log(x);
+ * }
+ */
+export async function* asCompleted(awaitables, options={}) {
+    const pending = new Set(Array.from(awaitables, ensureFuture));
+    const completed = [];
+    let wakeup;
+    for (const f of pending) {
+        f.addImmediateCallback(() => {
+            pending.delete(f);
+            completed.push(f);
+            if (wakeup && !wakeup.done()) {
+                wakeup.setResult();
+            }
+        });
+    }
+    const deadline = options.timeout != null ? Date.now() + options.timeout : null;
+    while (pending.size || completed.length) {
+        if (!completed.length) {
+            wakeup = new Future();
+            const timeout = deadline != null ? Math.max(0, deadline - Date.now()) : null;
+            await withWaitOptions(wakeup, {...options, timeout});
+        }
+        const f = completed.shift();
+        f.catch(() => void 0);
+        yield f.result();
+    }
+}
+
 /**
  * The built in Promise object.
  *
@@ -181,3 +1013,10 @@ export class Future extends Promise {
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise}
  */
 
+/**
+ * The built in AbortSignal object.
+ *
+ * @external AbortSignal
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal}
+ */
+
@@ -1,9 +1,14 @@
 import {Event, Lock} from './locks.mjs';
 import {Queue} from './queues.mjs';
+import {Future, withWaitOptions} from './futures.mjs';
 
 
 function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    // Cancelling the Future clears the timer, so an abandoned wait does not linger.
+    const f = new Future();
+    const timeout = setTimeout(() => f.setResult(), ms);
+    f.addImmediateCallback(() => clearTimeout(timeout));
+    return f;
 }
 
 
@@ -60,12 +65,24 @@ export class UnorderedWorkQueue {
      * the pending queue or the fulfilled queues are full it will block.
      *
      * @param {external:Promise} promise - The awaitable to enqueue.
+     * @param {WaitOptions} [options]
      */
-    async put(promise) {
+    async put(promise, options) {
         if (this._putters.length || !this._canPut()) {
             const ev = new Event();
             this._putters.push(ev);
-            await ev.wait();
+            const waiting = ev.wait(options);
+            waiting.addImmediateCallback(() => {
+                // Released putters are already removed; this is a timeout or abort.  It
+                // must be handled synchronously so a job settling in the meantime can't
+                // release the dead putter.
+                const idx = this._putters.indexOf(ev);
+                if (idx !== -1) {
+                    this._putters.splice(idx, 1);
+                    this._maybeReleasePutter();
+                }
+            });
+            await waiting;
             this._releasing--;
         }
         if (this._pending.size >= this._maxPending || this._fulfilled.full) {
@@ -73,7 +90,10 @@ export class UnorderedWorkQueue {
         }
         const id = this._idCounter++;
         this._pending.set(id, promise);
-        promise.finally(() => void this._promote(id));
+        // Avoid finally() so rejected or cancelled jobs don't leave an unhandled
+        // rejection behind; the error is delivered by get() instead.
+        const promote = () => void this._promote(id);
+        promise.then(promote, promote);
     }
 
     async _promote(id) {
@@ -95,12 +115,13 @@ export class UnorderedWorkQueue {
      * Get one result from the fulfilled queue.
      *
      * @see [Queue.get]{@link Queue#get}
+     * @param {WaitOptions} [options]
      * @throws {*} If [options.allowErrors]{@link UnorderedWorkQueueOptions} is unset and the
      *             job failed.
      * @returns {*} The return value from a completed job.
      */
-    async get() {
-        const {promise} = await this._fulfilled.get();
+    async get(options) {
+        const {promise} = await this._fulfilled.get(options);
         try {
             return await promise;
         } catch(e) {
@@ -244,18 +265,33 @@ export class RateLimiter {
     /**
      * Blocks until it is safe to run again.  Note that this routine is concurrency-safe, so some
      * calls for a given context may block longer than expected because of multiple accesses.
+     *
+     * @param {WaitOptions} [options]
      */
-    async wait() {
-        await this._lock.acquire();
+    async wait(options={}) {
+        const deadline = options.timeout != null ? Date.now() + options.timeout : null;
+        await this._lock.acquire(options);
         try {
             await this._init;
-            await this._wait();
+            await this._wait({...options, deadline});
             await this._increment();
         } finally {
             this._lock.release();
         }
     }
 
+    /**
+     * Wait until it is safe to run and then run an async function.
+     *
+     * @param {Function} fn - An async function to run once the limiter allows it.
+     * @param {WaitOptions} [options] - Options for the [wait]{@link RateLimiter#wait}.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    async run(fn, options) {
+        await this.wait(options);
+        return await fn();
+    }
+
     /**
      * If the rate limiter will suspend on the next usage this will return
      * the number of milliseconds of the expected wait.  Note that the wait
@@ -298,10 +334,10 @@ export class RateLimiter {
         }
     }
 
-    async _wait() {
+    async _wait(options) {
         this._drain();
         while (this.state.bucket.length >= this.spec.limit) {
-            await this._suspend(this.spec.period - (Date.now() - this.state.bucket[0]));
+            await this._suspend(this.spec.period - (Date.now() - this.state.bucket[0]), options);
             this._drain();
         }
         if (this.spec.spread) {
@@ -309,7 +345,7 @@ export class RateLimiter {
             const normalWait = this.spec.period / this.spec.limit;
             const wait = normalWait - (Date.now() - lastTime);
             if (wait > 0) {
-                await this._suspend(wait);
+                await this._suspend(wait, options);
             }
         }
     }
@@ -337,11 +373,12 @@ export class RateLimiter {
         await this._saveState();
     }
 
-    async _suspend(ms) {
+    async _suspend(ms, options={}) {
         this._suspended = true;
         this._resumes = Date.now() + ms;
+        const timeout = options.deadline != null ? Math.max(0, options.deadline - Date.now()) : null;
         try {
-            await this._sleep(ms);
+            await withWaitOptions(this._sleep(ms), {...options, timeout});
         } finally {
             this._suspended = false;
             this._resumes = null;
@@ -1,17 +1,424 @@
 /* eslint no-unsafe-finally: "off" */
 
-import {Future} from './futures.mjs';
+import {Future, withWaitOptions, timeoutScope} from './futures.mjs';
+import {describeOwner, dispose, asyncDispose} from './_util.mjs';
 
 
+/**
+ * The result of an acquisition.  Releasing the guard releases what was acquired,
+ * and it can be used with `using` / `await using` declarations.  Only the first
+ * call to [release]{@link Guard#release} has any effect.
+ *
+ * @param {Function} release - Called once to release the acquisition.
+ * @example
+ * await using guard = await lock.acquire();
+ * // do work...  The lock is released at the end of the block.
+ */
+export class Guard {
+    constructor(release) {
+        this._release = release;
+        this._released = false;
+    }
+
+    /**
+     * {@link true} if [release]{@link Guard#release} was called.
+     *
+     * @type {boolean}
+     */
+    get released() {
+        return this._released;
+    }
+
+    /**
+     * Release the acquisition if it has not been released already.
+     */
+    release() {
+        if (!this._released) {
+            this._released = true;
+            this._release();
+        }
+    }
+
+    [dispose]() {
+        this.release();
+    }
+
+    [asyncDispose]() {
+        this.release();
+    }
+}
+
+
+async function runGuarded(acquire, fn) {
+    // Acquiring inside the async frame turns invalid arguments into a rejection.
+    const guard = await acquire();
+    try {
+        return await fn();
+    } finally {
+        guard.release();
+    }
+}
+
+
+function defaultDeadlockHandler(info) {
+    const lines = info.cycle.map(x =>
+        `  ${describeOwner(x.owner)} waits for ${describeOwner(x.primitive)} held by ${describeOwner(x.holder)}\n` +
+        `    waiting at: ${x.waitStack}\n    acquired at: ${x.acquireStack}`);
+    console.error(`Deadlock detected:\n${lines.join('\n')}`);
+}
+
+function defaultLockOrderHandler(info) {
+    console.warn(`Inconsistent lock order: ${describeOwner(info.first)} then ${describeOwner(info.second)}, ` +
+        `previously the reverse at:\n${info.previousStack}\nnow at:\n${info.stack}`);
+}
+
+// Only set when deadlock detection is enabled, so the primitives pay a single null check.
+let deadlockDetector = null;
+
+
+class DeadlockDetector {
+    constructor(options) {
+        this.onDeadlock = options.onDeadlock || defaultDeadlockHandler;
+        this.onLockOrder = options.onLockOrder || defaultLockOrderHandler;
+        this.holders = new Map();  // primitive -> {owner, stack}
+        this.held = new Map();  // owner -> Set of primitives
+        this.waits = new Map();  // owner -> {primitive, stack}
+        this.order = new WeakMap();  // primitive -> WeakMap of later primitive -> stack
+        this.warned = new WeakMap();  // primitive -> WeakSet of later primitive
+    }
+
+    waiting(owner, primitive) {
+        const stack = new Error().stack;
+        this.waits.set(owner, {primitive, stack});
+        const cycle = [];
+        let waiter = owner;
+        let wait = {primitive, stack};
+        for (;;) {
+            const holder = this.holders.get(wait.primitive);
+            if (!holder || cycle.length > this.waits.size) {
+                return;
+            }
+            cycle.push({
+                owner: waiter,
+                primitive: wait.primitive,
+                waitStack: wait.stack,
+                holder: holder.owner,
+                acquireStack: holder.stack,
+            });
+            if (holder.owner === owner) {
+                break;
+            }
+            waiter = holder.owner;
+            wait = this.waits.get(waiter);
+            if (!wait) {
+                return;
+            }
+        }
+        this.onDeadlock({cycle});
+    }
+
+    doneWaiting(owner) {
+        this.waits.delete(owner);
+    }
+
+    acquired(owner, primitive) {
+        const stack = new Error().stack;
+        let held = this.held.get(owner);
+        if (!held) {
+            held = new Set();
+            this.held.set(owner, held);
+        }
+        for (const x of held) {
+            this.checkOrder(x, primitive, stack);
+        }
+        held.add(primitive);
+        this.holders.set(primitive, {owner, stack});
+    }
+
+    released(owner, primitive) {
+        this.holders.delete(primitive);
+        const held = this.held.get(owner);
+        if (held) {
+            held.delete(primitive);
+            if (!held.size) {
+                this.held.delete(owner);
+            }
+        }
+    }
+
+    checkOrder(first, second, stack) {
+        const reverse = this.order.get(second);
+        const previousStack = reverse && reverse.get(first);
+        if (previousStack) {
+            let warned = this.warned.get(first);
+            if (!warned) {
+                warned = new WeakSet();
+                this.warned.set(first, warned);
+            }
+            if (!warned.has(second)) {
+                warned.add(second);
+                this.onLockOrder({first, second, stack, previousStack});
+            }
+        }
+        let after = this.order.get(first);
+        if (!after) {
+            after = new WeakMap();
+            this.order.set(first, after);
+        }
+        if (!after.has(second)) {
+            after.set(second, stack);
+        }
+    }
+}
+
+
+/**
+ * @typedef DeadlockEdge
+ * @type {Object}
+ * @property {Object} owner - The owner that is waiting.
+ * @property {Object} primitive - The lock the owner is waiting for.
+ * @property {String} waitStack - The stack trace of where the wait started.
+ * @property {Object} holder - The owner holding the lock.
+ * @property {String} acquireStack - The stack trace of where the holder acquired the lock.
+ */
+
+/**
+ * @typedef DeadlockInfo
+ * @type {Object}
+ * @property {Array<DeadlockEdge>} cycle - The waits that form the cycle, starting with
+ *                                         the wait that completed it.
+ */
+
+/**
+ * @typedef LockOrderInfo
+ * @type {Object}
+ * @property {Object} first - The lock that was held.
+ * @property {Object} second - The lock that was acquired while holding `first`.
+ * @property {String} stack - The stack trace of the acquisition of `second`.
+ * @property {String} previousStack - The stack trace of when `first` was acquired
+ *                                    while holding `second`.
+ */
+
+/**
+ * Enable or disable deadlock detection.  This is a debugging aid that records which
+ * owner holds and waits for each {@link Lock} and {@link RLock} (including those used
+ * by a {@link Condition}) and maintains a wait-for graph of them.  When a wait would
+ * complete a cycle in the graph it is reported.  Locks acquired while holding other
+ * locks are also checked for consistent ordering, as an inconsistent order is how most
+ * deadlocks happen.
+ *
+ * Only acquisitions made with an `owner`, such as a {@link Task}, can be tracked.
+ * Stack traces are captured for every acquisition, so it should not be left on in
+ * production unless needed.  When disabled it has no cost.
+ *
+ * @param {boolean} [enabled=true]
+ * @param {Object} [options]
+ * @param {Function} [options.onDeadlock] - Invoked with a {@link DeadlockInfo}.
+ *                                          The default logs with `console.error`.
+ * @param {Function} [options.onLockOrder] - Invoked with a {@link LockOrderInfo}.
+ *                                           The default logs with `console.warn`.
+ */
+export function detectDeadlocks(enabled=true, options={}) {
+    deadlockDetector = enabled ? new DeadlockDetector(options) : null;
+}
+
+
+const defaultHoldTimeBuckets = [1, 10, 100, 1000, 10000];
+
+/**
+ * @typedef HoldTimeBucket
+ * @type {Object}
+ * @property {Number} le - The upper bound of the bucket in milliseconds.  The last bucket is
+ *                         {@link Infinity}.
+ * @property {Number} count - The number of holds that lasted longer than the previous bucket
+ *                            and no longer than this one.
+ */
+
+/**
+ * @typedef PrimitiveStats
+ * @type {Object}
+ * @property {Number} acquisitions - The number of successful acquisitions.
+ * @property {Number} contended - The number of acquisitions that had to wait.
+ * @property {Number} waiting - The number of acquisitions waiting now.
+ * @property {Number} peakWaiting - The highest number of acquisitions waiting at once.
+ * @property {Number} totalWaitTime - Cumulative milliseconds spent waiting by successful acquisitions.
+ * @property {Number} maxWaitTime - The longest wait in milliseconds of a successful acquisition.
+ * @property {Number} totalHoldTime - Cumulative milliseconds the primitive was held.
+ * @property {Number} maxHoldTime - The longest hold in milliseconds.
+ * @property {Array<HoldTimeBucket>} holdTimes - A histogram of hold times.
+ */
+
+/**
+ * Callbacks for exporting the usage of a primitive to a metrics system.  Each is
+ * invoked with an object containing the `primitive`, its `name` and the property
+ * noted.
+ *
+ * @typedef InstrumentationHooks
+ * @type {Object}
+ * @property {Function} [onAcquire] - Called after a successful acquisition with `waitTime`.
+ * @property {Function} [onRelease] - Called after a release with `holdTime`.
+ * @property {Function} [onContention] - Called when an acquisition must wait, with the
+ *                                       number `waiting` including it.
+ */
+
+/**
+ * @typedef InstrumentationOptions
+ * @type {Object}
+ * @property {String} [name] - A name to tell this primitive apart in metrics and debugging.
+ * @property {boolean} [stats] - Collect {@link PrimitiveStats}.
+ * @property {Array<Number>} [holdTimeBuckets=[1, 10, 100, 1000, 10000]] - Upper bounds
+ *                                                                        in milliseconds
+ *                                                                        of the hold time
+ *                                                                        histogram.
+ * @property {InstrumentationHooks} [hooks]
+ */
+
+
+class Instrument {
+    constructor(primitive, options) {
+        this.primitive = primitive;
+        this.hooks = options.hooks || {};
+        this.holds = [];  // [acquired timestamp, permits]; assumed to be released in order.
+        if (options.stats) {
+            const buckets = options.holdTimeBuckets || defaultHoldTimeBuckets;
+            this.stats = {
+                acquisitions: 0,
+                contended: 0,
+                waiting: 0,
+                peakWaiting: 0,
+                totalWaitTime: 0,
+                maxWaitTime: 0,
+                totalHoldTime: 0,
+                maxHoldTime: 0,
+                holdTimes: buckets.concat(Infinity).map(le => ({le, count: 0})),
+            };
+        } else {
+            this.stats = null;
+        }
+    }
+
+    static create(primitive, options) {
+        return options.stats || options.hooks ? new this(primitive, options) : null;
+    }
+
+    contended() {
+        const stats = this.stats;
+        let waiting;
+        if (stats) {
+            stats.contended++;
+            waiting = ++stats.waiting;
+            if (waiting > stats.peakWaiting) {
+                stats.peakWaiting = waiting;
+            }
+        }
+        if (this.hooks.onContention) {
+            if (waiting === undefined) {
+                waiting = this.primitive.waiting;
+            }
+            this.hooks.onContention({primitive: this.primitive, name: this.primitive.name, waiting});
+        }
+        return Date.now();
+    }
+
+    waitEnded() {
+        if (this.stats) {
+            this.stats.waiting--;
+        }
+    }
+
+    acquired(waitStart, n=1) {
+        const now = Date.now();
+        const waitTime = waitStart ? now - waitStart : 0;
+        this.holds.push([now, n]);
+        const stats = this.stats;
+        if (stats) {
+            stats.acquisitions++;
+            stats.totalWaitTime += waitTime;
+            if (waitTime > stats.maxWaitTime) {
+                stats.maxWaitTime = waitTime;
+            }
+        }
+        if (this.hooks.onAcquire) {
+            this.hooks.onAcquire({primitive: this.primitive, name: this.primitive.name, waitTime});
+        }
+    }
+
+    released(n=1) {
+        const now = Date.now();
+        while (n > 0 && this.holds.length) {
+            const hold = this.holds[0];
+            const permits = Math.min(n, hold[1]);
+            n -= permits;
+            hold[1] -= permits;
+            if (!hold[1]) {
+                this.holds.shift();
+                this._recordHold(now - hold[0]);
+            }
+        }
+    }
+
+    _recordHold(holdTime) {
+        const stats = this.stats;
+        if (stats) {
+            stats.totalHoldTime += holdTime;
+            if (holdTime > stats.maxHoldTime) {
+                stats.maxHoldTime = holdTime;
+            }
+            stats.holdTimes.find(x => holdTime <= x.le).count++;
+        }
+        if (this.hooks.onRelease) {
+            this.hooks.onRelease({primitive: this.primitive, name: this.primitive.name, holdTime});
+        }
+    }
+}
+
+
+/**
+ * @typedef LockOptions
+ * @type {Object}
+ * @property {boolean} [owned] - Require an owner for [acquire]{@link Lock#acquire} and only
+ *                               allow that owner to [release]{@link Lock#release} the lock.
+ * @property {String} [name] - See {@link InstrumentationOptions}.
+ * @property {boolean} [stats] - See {@link InstrumentationOptions}.
+ * @property {Array<Number>} [holdTimeBuckets] - See {@link InstrumentationOptions}.
+ * @property {InstrumentationHooks} [hooks] - See {@link InstrumentationOptions}.
+ */
+
 /**
  * A classic multitasking lock mechanism.
  *
  * @see Python's [asyncio.Lock]{@link https://docs.python.org/3/library/asyncio-sync.html#lock}
+ * @param {LockOptions} [options]
  */
 export class Lock {
-    constructor() {
-        this._waiting = new Set();
+    constructor(options={}) {
+        /**
+         * @type {String}
+         */
+        this.name = options.name;
+        this._waiting = new Map();
         this._locked = false;
+        this._owned = !!options.owned;
+        this._owner = null;
+        this._instrument = Instrument.create(this, options);
+    }
+
+    /**
+     * Usage statistics if enabled with the `stats` option, otherwise {@link null}.
+     *
+     * @type {PrimitiveStats}
+     */
+    get stats() {
+        return this._instrument && this._instrument.stats;
+    }
+
+    /**
+     * The number of acquisitions waiting for the lock.
+     *
+     * @type {Number}
+     */
+    get waiting() {
+        return this._waiting.size;
     }
 
     /**
@@ -28,36 +435,97 @@ export class Lock {
      * and then take the lock and return.
      *
      * @async
-     * @returns {Future<boolean>} {@link true}
+     * @param {WaitOptions} [options]
+     * @param {Object} [options.owner] - A token identifying the holder, such as a {@link Task}.
+     *                                   Required when the lock is [owned]{@link LockOptions}.
+     * @returns {Future<Guard>} A {@link Guard} that releases the lock.
      */
-    acquire() {
-        const f = new Future();
+    acquire(options={}) {
+        const owner = options.owner != null ? options.owner : null;
+        if (this._owned && owner === null) {
+            throw new TypeError('Owner required');
+        }
+        const f = new Future({owner: this});
+        const detector = owner !== null ? deadlockDetector : null;
+        const instrument = this._instrument;
         if (!this._locked) {
             this._locked = true;
-            f.setResult(true);
+            this._owner = owner;
+            if (detector) {
+                detector.acquired(owner, this);
+            }
+            if (instrument) {
+                instrument.acquired();
+            }
+            f.setResult(new Guard(() => this.release(owner)));
             return f;
         }
+        let waitStart;
         f.addImmediateCallback(() => {
+            if (detector) {
+                detector.doneWaiting(owner);
+            }
+            this._waiting.delete(f);
+            if (instrument) {
+                instrument.waitEnded();
+            }
             if (!f.cancelled()) {
                 this._locked = true;
+                this._owner = owner;
+                if (detector) {
+                    detector.acquired(owner, this);
+                }
+                if (instrument) {
+                    instrument.acquired(waitStart);
+                }
             }
-            this._waiting.delete(f);
         });
-        this._waiting.add(f);
-        return f;
+        this._waiting.set(f, owner);
+        if (detector) {
+            detector.waiting(owner, this);
+        }
+        if (instrument) {
+            waitStart = instrument.contended();
+        }
+        return withWaitOptions(f, options);
+    }
+
+    /**
+     * Hold the lock while running an async function.  The lock is released when the
+     * function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the lock held.
+     * @param {WaitOptions} [options] - Options for the [acquire]{@link Lock#acquire}.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    run(fn, options) {
+        return runGuarded(() => this.acquire(options), fn);
     }
 
     /**
      * Release this lock and wake up and calls to [acquire]{@link Lock#acquire}.
+     *
+     * @param {Object} [owner] - The owner used to acquire the lock.  Required when the
+     *                           lock is [owned]{@link LockOptions}.
      */
-    release() {
+    release(owner) {
         if (!this._locked) {
             throw new Error('Lock is not acquired');
         }
+        if (this._owned && owner !== this._owner) {
+            throw new Error('Lock is not owned by the caller');
+        }
+        if (deadlockDetector && this._owner !== null) {
+            deadlockDetector.released(this._owner, this);
+        }
         this._locked = false;
-        for (const f of this._waiting) {
+        this._owner = null;
+        if (this._instrument) {
+            this._instrument.released();
+        }
+        for (const [f, waiter] of this._waiting) {
             if (!f.done()) {
-                f.setResult(true);
+                f.setResult(new Guard(() => this.release(waiter)));
                 break;
             }
         }
@@ -65,10 +533,150 @@ export class Lock {
 }
 
 
+/**
+ * A reentrant lock.  The lock is held by an owner, such as a {@link Task}, which can
+ * acquire it again without blocking.  Each [acquire]{@link RLock#acquire} must be
+ * matched by a [release]{@link RLock#release} from the same owner.
+ *
+ * @see Python's [threading.RLock]{@link https://docs.python.org/3/library/threading.html#rlock-objects}
+ * @example
+ * const rlock = new RLock();
+ * await rlock.acquire({owner: task});
+ * await rlock.acquire({owner: task}); // does not block
+ * rlock.release(task);
+ * rlock.release(task); // now unlocked
+ */
+export class RLock {
+    constructor() {
+        this._waiting = new Map();
+        this._owner = null;
+        this._depth = 0;
+    }
+
+    /**
+     * Indicates the internal locked state of the RLock.
+     *
+     * @returns {boolean}
+     */
+    locked() {
+        return this._depth > 0;
+    }
+
+    /**
+     * @returns {Object|null} The current owner of the lock.
+     */
+    owner() {
+        return this._owner;
+    }
+
+    /**
+     * @returns {Number} The number of times the current owner has acquired the lock.
+     */
+    depth() {
+        return this._depth;
+    }
+
+    /**
+     * Acquire the lock if it is available or already held by the owner, otherwise
+     * wait until it is released.
+     *
+     * @async
+     * @param {WaitOptions} options
+     * @param {Object} options.owner - A token identifying the holder, such as a {@link Task}.
+     * @returns {Future<Guard>} A {@link Guard} that releases one level of the lock.
+     */
+    acquire(options={}) {
+        const owner = options.owner;
+        if (owner == null) {
+            throw new TypeError('Owner required');
+        }
+        const f = new Future({owner: this});
+        const detector = deadlockDetector;
+        if (!this._depth || this._owner === owner) {
+            this._owner = owner;
+            if (!this._depth++ && detector) {
+                detector.acquired(owner, this);
+            }
+            f.setResult(new Guard(() => this.release(owner)));
+            return f;
+        }
+        f.addImmediateCallback(() => {
+            this._waiting.delete(f);
+            if (detector) {
+                detector.doneWaiting(owner);
+            }
+            if (!f.cancelled()) {
+                this._owner = owner;
+                if (!this._depth++ && detector) {
+                    detector.acquired(owner, this);
+                }
+            }
+        });
+        this._waiting.set(f, owner);
+        if (detector) {
+            detector.waiting(owner, this);
+        }
+        return withWaitOptions(f, options);
+    }
+
+    /**
+     * Hold the lock while running an async function.  The lock is released when the
+     * function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the lock held.
+     * @param {WaitOptions} options - Options for the [acquire]{@link RLock#acquire},
+     *                                including the required `owner`.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    run(fn, options) {
+        return runGuarded(() => this.acquire(options), fn);
+    }
+
+    /**
+     * Release one level of the lock.  The lock is unlocked when the owner has released
+     * it as many times as it was acquired.
+     *
+     * @param {Object} owner - The owner used to acquire the lock.
+     */
+    release(owner) {
+        if (!this._depth) {
+            throw new Error('Lock is not acquired');
+        }
+        if (owner !== this._owner) {
+            throw new Error('Lock is not owned by the caller');
+        }
+        if (--this._depth) {
+            return;
+        }
+        if (deadlockDetector) {
+            deadlockDetector.released(owner, this);
+        }
+        this._owner = null;
+        let next;
+        for (const [f, waiter] of this._waiting) {
+            if (!f.done() && (next === undefined || waiter === next)) {
+                next = waiter;
+                f.setResult(new Guard(() => this.release(waiter)));
+            }
+        }
+    }
+
+    _restoreDepth(owner, depth) {
+        // Used by Condition to reinstate the levels it released while waiting.
+        if (!this._depth || owner !== this._owner) {
+            throw new Error('Lock is not owned by the caller');
+        }
+        this._depth = depth;
+    }
+}
+
+
 /**
  * A classic multitasking Condition mechanism.
  *
  * @param {Lock} [lock] - A shared lock object that is used to synchronize multiple Conditions.
+ * @param {InstrumentationOptions} [options] - Options for the internal {@link Lock} when
+ *                                             one is not provided.
  * @borrows {Lock.acquire} as foo
  * @borrows Lock.release as bar
  *
@@ -82,10 +690,14 @@ export class Lock {
  * @see Python's [asyncio.Condition]{@link https://docs.python.org/3/library/asyncio-sync.html#condition}
  */
 export class Condition {
-    constructor(lock) {
+    constructor(lock, options={}) {
         if (lock === undefined) {
-            lock = new Lock();
+            lock = new Lock(options);
         }
+        /**
+         * @type {String}
+         */
+        this.name = options.name || lock.name;
         this._lock = lock;
         this.locked = lock.locked.bind(lock);
         this.acquire = lock.acquire.bind(lock);
@@ -93,37 +705,152 @@ export class Condition {
         this._waiting = new Set();
     }
 
+    /**
+     * Usage statistics of the internal lock if enabled, otherwise {@link null}.
+     *
+     * @type {PrimitiveStats}
+     */
+    get stats() {
+        return this._lock.stats || null;
+    }
+
     /**
      * Wait until the condition is satisfied.  When multiple awaiters exist they will
      * be woken up one at a time if [notify]{@link Condition#notify} is used.  If
      * [notifyAll]{@link Condition#notifyAll} is used then all awaiters will be woken up.
      * Once completed the internal {@link Lock} is reacquired.
      *
+     * If the wait times out or is aborted the lock is still reacquired before the
+     * returned {@link Future} is rejected, so the caller always holds the lock when
+     * it resumes.  Only cancelling the returned {@link Future} directly abandons the
+     * lock reacquisition.
+     *
+     * When the lock is an {@link RLock} every level held by the owner is released while
+     * waiting and the same depth is restored on reacquire.
+     *
      * @async
+     * @param {WaitOptions} [options]
+     * @param {Object} [options.owner] - The owner used to acquire the lock.  Required when
+     *                                   the lock is an {@link RLock} or is
+     *                                   [owned]{@link LockOptions}.
+     * @throws {Error} If the lock is not held by `options.owner`.
      * @returns {Future<boolean>} {@link true}
      */
-    wait() {
+    wait(options={}) {
         if (!this.locked()) {
             throw new Error('Lock not acquired');
         }
-        const f = new Future();
-        const w = new Future();
-        this.release();
+        const owner = options.owner;
+        // A re-entered RLock must be fully released and restored to the same depth,
+        // otherwise no other owner could acquire it to notify us.
+        const depth = this._lock instanceof RLock ? this._lock.depth() : 1;
+        for (let i = 0; i < depth; i++) {
+            // Throws on the first release if the owner does not hold the lock.
+            this.release(owner);
+        }
+        const f = new Future({owner: this});
+        const w = new Future({owner: this});
+        this._waiting.add(w);
         // Being woken by notify is just step 1, we must also reacquire the
         // internal lock so we need to wrap the waiter future.
-        f.addImmediateCallback(() => f.cancelled() && w.cancel());
-        w.addImmediateCallback(() => {
-            this.acquire.addImmediateCallback(() => !f.cancelled() && f.setResult(true));
+        const notified = withWaitOptions(w, options);
+        let reacquire;
+        notified.addImmediateCallback(() => {
             this._waiting.delete(w);
+            if (f.done()) {
+                return;
+            }
+            let error;
+            if (notified.error() !== undefined) {
+                // Delivered via `f` after the lock is reacquired.
+                notified.catch(() => void 0);
+                error = notified.error();
+            }
+            reacquire = this._lock.acquire({owner});
+            reacquire.addImmediateCallback(() => {
+                if (reacquire.cancelled()) {
+                    return;
+                }
+                if (depth > 1) {
+                    this._lock._restoreDepth(owner, depth);
+                }
+                if (error !== undefined) {
+                    f.setError(error);
+                } else {
+                    f.setResult(true);
+                }
+            });
+        });
+        f.addImmediateCallback(() => {
+            if (f.cancelled()) {
+                notified.cancel();
+                if (reacquire) {
+                    reacquire.cancel();
+                }
+            }
         });
-        this._waiting.add(w);
         return f;
     }
 
     /**
-     * Wake up any awaiters using [wait]{@link Condition#wait}.
+     * Wait until a predicate is satisfied.  The predicate is checked before waiting
+     * and after every wake up.  The lock must be held when calling this method.
      *
-     * @param {Number} [n=1] - The number of awaiters to wake up.
+     * @see Python's [asyncio.Condition.wait_for]{@link https://docs.python.org/3/library/asyncio-sync.html#asyncio.Condition.wait_for}
+     * @param {Function} predicate - A function whose result is interpreted as a boolean.
+     * @param {WaitOptions} [options] - The timeout applies to the entire operation.
+     * @param {Object} [options.owner] - Passed to [wait]{@link Condition#wait}.
+     * @returns {*} The last return value of the predicate.
+     * @example
+     * await cond.acquire();
+     * try {
+     *     await cond.waitFor(() => items.length > 0);
+     *     consume(items.shift());
+     * } finally {
+     *     cond.release();
+     * }
+     */
+    async waitFor(predicate, options={}) {
+        let scope;
+        if (options.timeout != null) {
+            scope = timeoutScope(options.timeout, {signal: options.signal});
+            options = {owner: options.owner, signal: scope.signal};
+        }
+        try {
+            let result = predicate();
+            while (!result) {
+                await this.wait(options);
+                result = predicate();
+            }
+            return result;
+        } finally {
+            if (scope) {
+                scope.close();
+            }
+        }
+    }
+
+    /**
+     * Hold the internal lock while running an async function.  The lock is released
+     * when the function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the lock held.
+     * @param {WaitOptions} [options] - Options for the [acquire]{@link Condition#acquire}.
+     * @returns {Promise<*>} The return value of `fn`.
+     * @example
+     * await cond.run(async () => {
+     *     await cond.waitFor(() => items.length > 0);
+     *     consume(items.shift());
+     * });
+     */
+    run(fn, options) {
+        return runGuarded(() => this.acquire(options), fn);
+    }
+
+    /**
+     * Wake up any awaiters using [wait]{@link Condition#wait}.
+     *
+     * @param {Number} [n=1] - The number of awaiters to wake up.
      */
     notify(n=1) {
         if (!this.locked()) {
@@ -174,71 +901,209 @@ export class Condition {
 /**
  * A classic counting Semaphore used to regulate access to a resource.
  *
+ * Acquisitions may be weighted, e.g. `acquire(4)` takes 4 permits at once.  Waiters
+ * are granted permits in FIFO order, so a large request is not starved by a stream
+ * of smaller ones that arrive after it.
+ *
  * @param {Number} [value=1] - The number of simultaneous acquisitions
  *                             this semaphore will permit before blocking.
+ * @param {InstrumentationOptions} [options]
  * @see Python's [asyncio.Semaphore]{@link https://docs.python.org/3/library/asyncio-sync.html#semaphore}
  */
 export class Semaphore {
-    constructor(value=1) {
+    constructor(value=1, options={}) {
         if (value < 0) {
             throw new Error('Value must be >= 0');
         }
+        /**
+         * @type {String}
+         */
+        this.name = options.name;
+        this._capacity = value;
         this._value = value;
         this._waiters = [];
+        this._instrument = Instrument.create(this, options);
     }
 
     _wakeUpNext() {
-        while (this._waiters.length) {
-            const waiter = this._waiters.shift();
-            if (!waiter.done()) {
-                waiter.setResult(true);
-                return;
+        while (this._waiters.length && this._waiters[0].n <= this._value) {
+            const {future, n, waitStart} = this._waiters.shift();
+            this._value -= n;
+            if (this._instrument) {
+                this._instrument.waitEnded();
+                this._instrument.acquired(waitStart, n);
             }
+            future.setResult(new Guard(() => this.release(n)));
         }
     }
 
+    /**
+     * Usage statistics if enabled with the `stats` option, otherwise {@link null}.
+     * Hold times assume permits are released in the order they were acquired.
+     *
+     * @type {PrimitiveStats}
+     */
+    get stats() {
+        return this._instrument && this._instrument.stats;
+    }
+
+    /**
+     * The number of permits that can be acquired without blocking, ignoring any waiters.
+     *
+     * @type {Number}
+     */
+    get available() {
+        return Math.max(0, this._value);
+    }
+
+    /**
+     * The number of acquisitions waiting for permits.
+     *
+     * @type {Number}
+     */
+    get waiting() {
+        return this._waiters.length;
+    }
+
     /**
      * Has the semaphore exhausted all acquisitions.
      *
      * @returns {boolean} {@link true} if it will block an [acquire]{@link Semaphore#acquire}
      */
     locked() {
-        return this._value === 0;
+        // Waiters are served FIFO, so any queued acquisition blocks new ones too.
+        return this._value <= 0 || this._waiters.length > 0;
     }
 
     /**
-     * Attempt to acquire one of the available slots in this semaphore.
-     * If none are available, wait in line until one is available.
+     * Attempt to acquire permits from this semaphore.  If not enough are available, or
+     * other acquisitions are already waiting, wait in line until they are.
      *
      * @async
-     * @returns {Future<boolean>} {@link true}
+     * @param {Number} [n=1] - The number of permits to acquire.
+     * @param {WaitOptions} [options]
+     * @throws {RangeError} If `n` is more than the value of the semaphore.  Acquiring a
+     *                      single permit is always allowed.
+     * @returns {Future<Guard>} A {@link Guard} that releases the permits.
      */
-    acquire() {
-        const f = new Future();
-        if (!this._value) {
-            this._waiters.push(f);
-            f.addImmediateCallback(() => {
-                if (!f.cancelled()) {
-                    this._value--;
+    acquire(n=1, options) {
+        if (typeof n === 'object') {
+            options = n;
+            n = 1;
+        }
+        if (!(n > 0)) {
+            throw new TypeError('Permits must be > 0');
+        }
+        if (n > Math.max(this._capacity, 1)) {
+            // It would likely never be granted and would block every acquire queued after
+            // it.  A single permit is always allowed so a zero value can be used to signal.
+            throw new RangeError('Permits exceed the semaphore value');
+        }
+        const future = new Future({owner: this});
+        if (!this._waiters.length && n <= this._value) {
+            this._value -= n;
+            if (this._instrument) {
+                this._instrument.acquired(undefined, n);
+            }
+            future.setResult(new Guard(() => this.release(n)));
+        } else {
+            const waiter = {future, n};
+            this._waiters.push(waiter);
+            if (this._instrument) {
+                waiter.waitStart = this._instrument.contended();
+            }
+            future.addImmediateCallback(() => {
+                // Granted waiters are already removed; this is a cancel or rejection.
+                const idx = this._waiters.indexOf(waiter);
+                if (idx !== -1) {
+                    this._waiters.splice(idx, 1);
+                    if (this._instrument) {
+                        this._instrument.waitEnded();
+                    }
+                    // Smaller requests queued behind us may now fit.
+                    this._wakeUpNext();
                 }
             });
-        } else {
-            this._value--;
-            f.setResult(true);
         }
-        return f;
+        return withWaitOptions(future, options);
     }
 
     /**
-     * Release a slot previously acquired with [acquire]{@link Semaphore#acquire}
+     * Hold permits while running an async function.  The permits are released when
+     * the function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the permits held.
+     * @param {Number} [n=1] - The number of permits to acquire.
+     * @param {WaitOptions} [options] - Options for the [acquire]{@link Semaphore#acquire}.
+     * @returns {Promise<*>} The return value of `fn`.
      */
-    release() {
-        this._value++;
+    run(fn, n, options) {
+        return runGuarded(() => this.acquire(n, options), fn);
+    }
+
+    /**
+     * Release permits previously acquired with [acquire]{@link Semaphore#acquire}
+     *
+     * @param {Number} [n=1] - The number of permits to release.
+     */
+    release(n=1) {
+        if (!(n > 0)) {
+            throw new TypeError('Permits must be > 0');
+        }
+        this._value += n;
+        if (this._instrument) {
+            this._instrument.released(n);
+        }
+        this._wakeUpNext();
+    }
+
+    /**
+     * Resize the semaphore.  The number of available permits is adjusted by the
+     * difference from the previous value.  If shrinking below the number of permits
+     * currently held, new acquisitions block until enough are released.  Waiting
+     * acquisitions for more permits than the new value are rejected with a
+     * {@link external:RangeError}, as with [acquire]{@link Semaphore#acquire}.
+     *
+     * @param {Number} value - The new number of simultaneous acquisitions permitted.
+     */
+    setValue(value) {
+        if (value < 0) {
+            throw new Error('Value must be >= 0');
+        }
+        this._value += value - this._capacity;
+        this._capacity = value;
+        for (const {future, n} of Array.from(this._waiters)) {
+            if (n > Math.max(value, 1)) {
+                future.setError(new RangeError('Permits exceed the semaphore value'));
+            }
+        }
         this._wakeUpNext();
     }
 }
 
 
+/**
+ * A {@link Semaphore} that throws if it is released more times than it was acquired.
+ *
+ * @extends Semaphore
+ * @param {Number} [value=1] - The number of simultaneous acquisitions
+ *                             this semaphore will permit before blocking.
+ * @see Python's [asyncio.BoundedSemaphore]{@link https://docs.python.org/3/library/asyncio-sync.html#boundedsemaphore}
+ */
+export class BoundedSemaphore extends Semaphore {
+    /**
+     * @param {Number} [n=1] - The number of permits to release.
+     * @throws {Error} If more permits are released than were acquired.
+     */
+    release(n=1) {
+        if (this._value + n > this._capacity) {
+            throw new Error('Semaphore released too many times');
+        }
+        super.release(n);
+    }
+}
+
+
 /**
  * A very simple object for indicating when some event has been triggered.
  *
@@ -283,16 +1148,1156 @@ export class Event {
      * Wait until this event object is triggered with [set]{@link Event#set}.
      *
      * @async
+     * @param {WaitOptions} [options]
      * @returns {Future<boolean>} {@link true}
      */
-    wait() {
-        const f = new Future();
+    wait(options) {
+        const f = new Future({owner: this});
         if (this._isSet) {
             f.setResult(true);
         } else {
             f.addImmediateCallback(() => this._waiting.delete(f));
             this._waiting.add(f);
         }
-        return f;
+        return withWaitOptions(f, options);
+    }
+}
+
+
+/**
+ * A counter of in-flight operations that can be waited on until they are all done.
+ *
+ * @see Go's [sync.WaitGroup]{@link https://pkg.go.dev/sync#WaitGroup}
+ * @example
+ * const wg = new WaitGroup();
+ * for (const url of urls) {
+ *     wg.add();
+ *     fetch(url).finally(() => wg.done());
+ * }
+ * await wg.wait();
+ */
+export class WaitGroup {
+    constructor() {
+        this._count = 0;
+        this._finished = new Event();
+        this._finished.set();
+    }
+
+    /**
+     * The number of operations that are not done.
+     *
+     * @type {Number}
+     */
+    get count() {
+        return this._count;
+    }
+
+    /**
+     * Add to the number of operations.  When the count reaches zero all
+     * [wait]{@link WaitGroup#wait} calls are woken up.
+     *
+     * @param {Number} [n=1] - The amount to add, which may be negative.
+     * @throws {Error} If the count would become negative.
+     */
+    add(n=1) {
+        if (this._count + n < 0) {
+            throw new Error('Count can not be negative');
+        }
+        this._count += n;
+        if (this._count === 0) {
+            this._finished.set();
+        } else {
+            this._finished.clear();
+        }
+    }
+
+    /**
+     * Mark one operation as done.
+     *
+     * @throws {Error} If called more times than operations were added.
+     */
+    done() {
+        this.add(-1);
+    }
+
+    /**
+     * Wait until the count is zero.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @returns {Future<boolean>} {@link true}
+     */
+    wait(options) {
+        return this._finished.wait(options);
+    }
+}
+
+
+/**
+ * A one-shot countdown that releases all waiters when it reaches zero.  Unlike a
+ * {@link WaitGroup} the count can only go down, so once released it stays released.
+ *
+ * @see Java's [CountDownLatch]{@link https://docs.oracle.com/javase/8/docs/api/java/util/concurrent/CountDownLatch.html}
+ * @param {Number} count - The number of [countDown]{@link CountdownLatch#countDown}
+ *                         calls required to release the waiters.
+ */
+export class CountdownLatch {
+    constructor(count) {
+        if (!(count >= 0)) {
+            throw new Error('Count must be >= 0');
+        }
+        this._count = count;
+        this._released = new Event();
+        if (!count) {
+            this._released.set();
+        }
+    }
+
+    /**
+     * The number of [countDown]{@link CountdownLatch#countDown} calls remaining.
+     *
+     * @type {Number}
+     */
+    get count() {
+        return this._count;
+    }
+
+    /**
+     * Decrement the count, releasing all waiters when it reaches zero.
+     *
+     * @param {Number} [n=1]
+     * @throws {Error} If the count would become negative.
+     */
+    countDown(n=1) {
+        if (!(n > 0)) {
+            throw new TypeError('Amount must be > 0');
+        }
+        if (this._count - n < 0) {
+            throw new Error('Count can not be negative');
+        }
+        this._count -= n;
+        if (this._count === 0) {
+            this._released.set();
+        }
+    }
+
+    /**
+     * Wait until the count reaches zero.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @returns {Future<boolean>} {@link true}
+     */
+    wait(options) {
+        return this._released.wait(options);
+    }
+}
+
+
+/**
+ * A cell holding an arbitrary value that can be waited on until the value meets a
+ * condition.  Think of it as an {@link Event} for any value.
+ *
+ * @param {*} [value] - The initial value.
+ * @example
+ * const state = new Watchable('connecting');
+ * // elsewhere...
+ * state.set('ready');
+ * // ...
+ * await state.waitUntil(x => x === 'ready');
+ */
+export class Watchable {
+    constructor(value) {
+        this._value = value;
+        this._version = 0;
+        this._waiting = new Set();
+    }
+
+    /**
+     * The current value.
+     *
+     * @type {*}
+     */
+    get value() {
+        return this._value;
+    }
+
+    /**
+     * Set a new value and wake up any waiters it satisfies.  Setting the same value
+     * (per {@link Object.is}) is not a change.
+     *
+     * @param {*} value
+     */
+    set(value) {
+        if (Object.is(value, this._value)) {
+            return;
+        }
+        this._value = value;
+        this._version++;
+        for (const w of Array.from(this._waiting)) {
+            if (w.future.done()) {
+                continue;
+            }
+            let satisfied;
+            try {
+                satisfied = w.predicate(value);
+            } catch(e) {
+                w.future.setError(e);
+                continue;
+            }
+            if (satisfied) {
+                w.future.setResult(value);
+            }
+        }
+    }
+
+    /**
+     * Set a new value computed from the current value.
+     *
+     * @param {Function} fn - Called with the current value and returns the new value.
+     * @returns {*} The new value.
+     */
+    update(fn) {
+        this.set(fn(this._value));
+        return this._value;
+    }
+
+    /**
+     * Wait until the value satisfies a predicate.  The predicate is checked immediately
+     * and then on every change.  If the predicate throws the wait is rejected with
+     * the error.
+     *
+     * @async
+     * @param {Function} predicate - Called with the value, returns a boolean.
+     * @param {WaitOptions} [options]
+     * @returns {Future<*>} The value that satisfied the predicate.
+     */
+    waitUntil(predicate, options) {
+        const future = new Future({owner: this});
+        let satisfied;
+        try {
+            satisfied = predicate(this._value);
+        } catch(e) {
+            future.setError(e);
+            return future;
+        }
+        if (satisfied) {
+            future.setResult(this._value);
+            return future;
+        }
+        const waiter = {future, predicate};
+        future.addImmediateCallback(() => this._waiting.delete(waiter));
+        this._waiting.add(waiter);
+        return withWaitOptions(future, options);
+    }
+
+    /**
+     * Wait for the next change of value.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @returns {Future<*>} The new value.
+     */
+    waitForChange(options) {
+        const future = new Future({owner: this});
+        const waiter = {future, predicate: () => true};
+        future.addImmediateCallback(() => this._waiting.delete(waiter));
+        this._waiting.add(waiter);
+        return withWaitOptions(future, options);
+    }
+
+    /**
+     * An async generator that yields the value every time it changes.  Changes made
+     * while the consumer is busy are coalesced, so only the latest value is yielded.
+     * Note that the {@link Watchable} instance itself is also iterable.
+     *
+     * Stopping the iteration, e.g. with `break`, cancels any outstanding
+     * [waitForChange]{@link Watchable#waitForChange}.
+     *
+     * @param {Object} [options]
+     * @param {external:AbortSignal} [options.signal] - Stop waiting for changes when
+     *                                                  this signal is aborted.
+     * @returns {AsyncIterator<*>}
+     * @example
+     * for await (const x of state.changes({signal})) {
+     *     console.log('state changed', x);
+     * }
+     */
+    changes(options={}) {
+        let version = this._version;
+        let pending = null;
+        let finished = false;
+        const iterator = {
+            next: async () => {
+                if (finished) {
+                    return {done: true, value: undefined};
+                }
+                if (this._version === version) {
+                    pending = this.waitForChange({signal: options.signal});
+                    try {
+                        await pending;
+                    } catch(e) {
+                        if (finished) {
+                            return {done: true, value: undefined};
+                        }
+                        finished = true;
+                        throw e;
+                    } finally {
+                        pending = null;
+                    }
+                }
+                version = this._version;
+                return {done: false, value: this._value};
+            },
+            return: async value => {
+                finished = true;
+                if (pending) {
+                    pending.cancel();
+                }
+                return {done: true, value};
+            },
+            [Symbol.asyncIterator]() {
+                return iterator;
+            }
+        };
+        return iterator;
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.changes();
+    }
+}
+
+
+/**
+ * Indicates that a {@link Barrier} was aborted or reset while waiting.
+ *
+ * @extends external:Error
+ */
+export class BrokenBarrierError extends Error {}
+
+
+/**
+ * A synchronization point for a fixed number of parties.  Each party calls
+ * [wait]{@link Barrier#wait} and is blocked until all of the parties have done so,
+ * at which point they are all released and the barrier is ready to be used again.
+ *
+ * @see Python's [asyncio.Barrier]{@link https://docs.python.org/3/library/asyncio-sync.html#barrier}
+ * @param {Number} parties - The number of parties that must wait before they are released.
+ */
+export class Barrier {
+    constructor(parties) {
+        if (!(parties > 0)) {
+            throw new Error('Parties must be > 0');
+        }
+        this._parties = parties;
+        this._waiting = [];
+        this._broken = false;
+    }
+
+    /**
+     * The number of parties required to pass the barrier.
+     *
+     * @type {Number}
+     */
+    get parties() {
+        return this._parties;
+    }
+
+    /**
+     * The number of parties currently waiting.
+     *
+     * @type {Number}
+     */
+    get nWaiting() {
+        return this._waiting.length;
+    }
+
+    /**
+     * {@link true} if the barrier was [aborted]{@link Barrier#abort}.
+     *
+     * @type {boolean}
+     */
+    get broken() {
+        return this._broken;
+    }
+
+    /**
+     * Wait for all the parties to arrive.  A cancelled wait, e.g. from a timeout, does
+     * not count as an arrival.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @throws {BrokenBarrierError} If the barrier is aborted or reset.
+     * @returns {Future<Number>} The arrival index of this party, from 0 to `parties - 1`.
+     */
+    wait(options) {
+        const f = new Future({owner: this});
+        if (this._broken) {
+            f.setError(new BrokenBarrierError('Barrier is broken'));
+            return f;
+        }
+        f.addImmediateCallback(() => {
+            const idx = this._waiting.indexOf(f);
+            if (idx !== -1) {
+                this._waiting.splice(idx, 1);
+            }
+        });
+        this._waiting.push(f);
+        if (this._waiting.length === this._parties) {
+            const waiting = this._waiting;
+            this._waiting = [];
+            for (const [i, w] of waiting.entries()) {
+                w.setResult(i);
+            }
+        }
+        return withWaitOptions(f, options);
+    }
+
+    /**
+     * Return the barrier to the default, empty state.  Any parties waiting are
+     * rejected with a {@link BrokenBarrierError}.  A broken barrier is repaired.
+     */
+    reset() {
+        this._breakWaiters('Barrier was reset');
+        this._broken = false;
+    }
+
+    /**
+     * Put the barrier into a broken state.  Any current or future calls to
+     * [wait]{@link Barrier#wait} fail with a {@link BrokenBarrierError} until
+     * [reset]{@link Barrier#reset} is called.  Use this when a party can not
+     * continue, so the others are not left waiting forever.
+     */
+    abort() {
+        this._broken = true;
+        this._breakWaiters('Barrier was aborted');
+    }
+
+    _breakWaiters(msg) {
+        const waiting = this._waiting;
+        this._waiting = [];
+        for (const w of waiting) {
+            w.setError(new BrokenBarrierError(msg));
+        }
     }
 }
+
+
+const rwPolicies = ['reader', 'writer', 'fifo'];
+
+/**
+ * @typedef RWLockOptions
+ * @type {Object}
+ * @property {String} [policy=writer] - The fairness policy when readers and writers contend.
+ *     `writer` blocks new readers while a writer is waiting, `reader` admits new readers
+ *     whenever no writer holds the lock (writers may starve) and `fifo` grants the lock in
+ *     arrival order, admitting consecutive readers together.
+ */
+
+/**
+ * A lock that allows many concurrent readers or one exclusive writer.
+ *
+ * @param {RWLockOptions} [options]
+ */
+export class RWLock {
+    constructor(options={}) {
+        const policy = options.policy || 'writer';
+        if (!rwPolicies.includes(policy)) {
+            throw new TypeError(`Invalid policy: ${policy}`);
+        }
+        this._policy = policy;
+        this._readers = 0;
+        this._writer = false;
+        this._waiting = [];
+        this._upgrading = null;
+    }
+
+    /**
+     * The number of readers holding the lock.
+     *
+     * @type {Number}
+     */
+    get readers() {
+        return this._readers;
+    }
+
+    /**
+     * @returns {boolean} {@link true} if the lock is held by any readers or a writer.
+     */
+    locked() {
+        return this._writer || this._readers > 0;
+    }
+
+    /**
+     * @returns {boolean} {@link true} if the lock is held by a writer.
+     */
+    writeLocked() {
+        return this._writer;
+    }
+
+    _enqueue(waiter, options) {
+        const f = waiter.future;
+        if (waiter.upgrade) {
+            this._waiting.unshift(waiter);
+        } else {
+            this._waiting.push(waiter);
+        }
+        f.addImmediateCallback(() => {
+            if (this._upgrading === waiter) {
+                this._upgrading = null;
+            }
+            if (f.cancelled()) {
+                const idx = this._waiting.indexOf(waiter);
+                if (idx !== -1) {
+                    this._waiting.splice(idx, 1);
+                    this._wakeUp();
+                }
+            }
+        });
+        return withWaitOptions(f, options);
+    }
+
+    _nextWaiter() {
+        const head = this._waiting[0];
+        if (head.upgrade) {
+            return this._readers === 1 ? 0 : -1;
+        }
+        if (this._policy === 'fifo') {
+            return head.write && this._readers ? -1 : 0;
+        }
+        const writeIdx = this._waiting.findIndex(x => x.write);
+        if (this._policy === 'writer' && writeIdx !== -1) {
+            return this._readers ? -1 : writeIdx;
+        }
+        const readIdx = this._waiting.findIndex(x => !x.write);
+        if (readIdx !== -1) {
+            return readIdx;
+        }
+        return this._readers ? -1 : writeIdx;
+    }
+
+    _wakeUp() {
+        while (this._waiting.length && !this._writer) {
+            const idx = this._nextWaiter();
+            if (idx === -1) {
+                break;
+            }
+            const [waiter] = this._waiting.splice(idx, 1);
+            if (waiter.write) {
+                if (waiter.upgrade) {
+                    this._readers--;
+                }
+                this._writer = true;
+            } else {
+                this._readers++;
+            }
+            waiter.future.setResult(waiter.upgrade ? true : this._guard());
+        }
+    }
+
+    _guard() {
+        // A holder may change modes with downgrade or upgrade, and while it holds the
+        // lock a writer can only exist if it is that holder.
+        return new Guard(() => this._writer ? this.releaseWrite() : this.releaseRead());
+    }
+
+    /**
+     * Acquire the lock for reading.  Blocks while a writer holds the lock, or as
+     * dictated by the fairness policy.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @returns {Future<Guard>} A {@link Guard} that releases the lock in whichever mode
+     *                          is held at the time.
+     */
+    acquireRead(options) {
+        const future = new Future({owner: this});
+        let ready = !this._writer;
+        if (ready && this._policy === 'writer') {
+            ready = !this._waiting.some(x => x.write);
+        } else if (ready && this._policy === 'fifo') {
+            ready = !this._waiting.length;
+        }
+        if (!ready) {
+            return this._enqueue({future, write: false}, options);
+        }
+        this._readers++;
+        future.setResult(this._guard());
+        return future;
+    }
+
+    /**
+     * Release a read lock previously acquired with [acquireRead]{@link RWLock#acquireRead}.
+     */
+    releaseRead() {
+        if (!this._readers) {
+            throw new Error('Read lock is not acquired');
+        }
+        this._readers--;
+        this._wakeUp();
+    }
+
+    /**
+     * Acquire the lock for exclusive writing.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @returns {Future<Guard>} A {@link Guard} that releases the lock in whichever mode
+     *                          is held at the time.
+     */
+    acquireWrite(options) {
+        const future = new Future({owner: this});
+        if (this._writer || this._readers || this._waiting.length) {
+            return this._enqueue({future, write: true}, options);
+        }
+        this._writer = true;
+        future.setResult(this._guard());
+        return future;
+    }
+
+    /**
+     * Hold a read lock while running an async function.  The lock is released when
+     * the function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the read lock held.
+     * @param {WaitOptions} [options] - Options for the [acquireRead]{@link RWLock#acquireRead}.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    runRead(fn, options) {
+        return runGuarded(() => this.acquireRead(options), fn);
+    }
+
+    /**
+     * Hold a write lock while running an async function.  The lock is released when
+     * the function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the write lock held.
+     * @param {WaitOptions} [options] - Options for the [acquireWrite]{@link RWLock#acquireWrite}.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    runWrite(fn, options) {
+        return runGuarded(() => this.acquireWrite(options), fn);
+    }
+
+    /**
+     * Release a write lock previously acquired with [acquireWrite]{@link RWLock#acquireWrite}.
+     */
+    releaseWrite() {
+        if (!this._writer) {
+            throw new Error('Write lock is not acquired');
+        }
+        this._writer = false;
+        this._wakeUp();
+    }
+
+    /**
+     * Atomically convert a held write lock into a read lock.  Other readers are
+     * admitted according to the fairness policy.
+     */
+    downgrade() {
+        if (!this._writer) {
+            throw new Error('Write lock is not acquired');
+        }
+        this._writer = false;
+        this._readers++;
+        this._wakeUp();
+    }
+
+    /**
+     * Convert a held read lock into a write lock once all other readers have released.
+     * The read lock remains held while waiting, so cancelling the upgrade leaves the
+     * caller as a reader.  Only one upgrade may be pending at a time, as two readers
+     * waiting for each other to release would deadlock.  The {@link Guard} from
+     * [acquireRead]{@link RWLock#acquireRead} releases the write lock after an upgrade.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @throws {Error} If the read lock is not held or another upgrade is pending.
+     * @returns {Future<boolean>} {@link true}
+     */
+    upgrade(options) {
+        if (!this._readers) {
+            throw new Error('Read lock is not acquired');
+        }
+        if (this._upgrading) {
+            throw new Error('Another upgrade is pending');
+        }
+        const future = new Future({owner: this});
+        if (this._readers === 1) {
+            this._readers--;
+            this._writer = true;
+            future.setResult(true);
+            return future;
+        }
+        this._upgrading = {future, write: true, upgrade: true};
+        return this._enqueue(this._upgrading, options);
+    }
+}
+
+
+class KeyedPrimitive {
+    constructor() {
+        this._entries = new Map();
+    }
+
+    /**
+     * The number of keys with a primitive that is in use.
+     *
+     * @type {Number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * @returns {Iterator<*>} The keys with a primitive that is in use.
+     */
+    keys() {
+        return this._entries.keys();
+    }
+
+    _acquire(key, acquire, release) {
+        let primitive = this._entries.get(key);
+        if (!primitive) {
+            primitive = this._create();
+            this._entries.set(key, primitive);
+        }
+        let acquisition;
+        try {
+            acquisition = acquire(primitive);
+        } catch(e) {
+            this._maybeDrop(key, primitive);
+            throw e;
+        }
+        const f = new Future({owner: this});
+        acquisition.addImmediateCallback(() => {
+            if (acquisition.cancelled()) {
+                f.cancel();
+            } else if (acquisition.error() !== undefined) {
+                acquisition.catch(() => void 0);
+                f.setError(acquisition.error());
+            } else {
+                f.setResult(new Guard(release));
+            }
+            this._maybeDrop(key, primitive);
+        });
+        f.addImmediateCallback(() => f.cancelled() && acquisition.cancel());
+        return f;
+    }
+
+    _release(key) {
+        const primitive = this._entries.get(key);
+        if (!primitive) {
+            throw new Error('Key is not acquired');
+        }
+        return primitive;
+    }
+
+    _maybeDrop(key, primitive) {
+        if (this._entries.get(key) === primitive && this._idle(primitive)) {
+            this._entries.delete(key);
+        }
+    }
+}
+
+
+/**
+ * A set of {@link Lock}s identified by key, for mutual exclusion per resource, e.g. one
+ * operation per user ID at a time.  Locks are created as needed and dropped once they
+ * are released with no waiters.
+ *
+ * @param {LockOptions} [options] - Options for each {@link Lock}.
+ * @example
+ * const locks = new KeyedLock();
+ * await locks.run(user.id, async () => await updateUser(user));
+ */
+export class KeyedLock extends KeyedPrimitive {
+    constructor(options={}) {
+        super();
+        this._options = options;
+    }
+
+    _create() {
+        return new Lock(this._options);
+    }
+
+    _idle(lock) {
+        return !lock.locked() && !lock._waiting.size;
+    }
+
+    /**
+     * @param {*} key
+     * @returns {boolean} {@link true} if the lock for this key is held.
+     */
+    locked(key) {
+        const lock = this._entries.get(key);
+        return lock ? lock.locked() : false;
+    }
+
+    /**
+     * Acquire the lock for a key.
+     *
+     * @async
+     * @param {*} key
+     * @param {WaitOptions} [options] - Options for [Lock.acquire]{@link Lock#acquire}.
+     * @returns {Future<Guard>} A {@link Guard} that releases the lock for this key.
+     */
+    acquire(key, options={}) {
+        const owner = options.owner;
+        return this._acquire(key, lock => lock.acquire(options), () => this.release(key, owner));
+    }
+
+    /**
+     * Hold the lock for a key while running an async function.  The lock is released
+     * when the function returns or throws.
+     *
+     * @param {*} key
+     * @param {Function} fn - An async function to run with the lock held.
+     * @param {WaitOptions} [options] - Options for the [acquire]{@link KeyedLock#acquire}.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    run(key, fn, options) {
+        return runGuarded(() => this.acquire(key, options), fn);
+    }
+
+    /**
+     * Release the lock for a key.
+     *
+     * @param {*} key
+     * @param {Object} [owner] - The owner used to acquire the lock.
+     */
+    release(key, owner) {
+        const lock = this._release(key);
+        lock.release(owner);
+        this._maybeDrop(key, lock);
+    }
+}
+
+
+/**
+ * A set of {@link Semaphore}s identified by key, to limit concurrency per resource,
+ * e.g. a maximum of 3 concurrent fetches per host.  Semaphores are created as needed
+ * and dropped once all their permits are released with no waiters.
+ *
+ * @param {Number} [limit=1] - The value of each {@link Semaphore}.
+ * @example
+ * const hosts = new KeyedSemaphore(3);
+ * await hosts.run(url.host, async () => await fetch(url));
+ */
+export class KeyedSemaphore extends KeyedPrimitive {
+    constructor(limit=1) {
+        super();
+        if (limit < 0) {
+            throw new Error('Limit must be >= 0');
+        }
+        this._limit = limit;
+    }
+
+    _create() {
+        return new Semaphore(this._limit);
+    }
+
+    _idle(sem) {
+        return !sem.waiting && sem.available === this._limit;
+    }
+
+    /**
+     * @param {*} key
+     * @returns {boolean} {@link true} if the semaphore for this key will block.
+     */
+    locked(key) {
+        const sem = this._entries.get(key);
+        return sem ? sem.locked() : this._limit === 0;
+    }
+
+    /**
+     * Acquire permits from the semaphore for a key.
+     *
+     * @async
+     * @param {*} key
+     * @param {Number} [n=1] - The number of permits to acquire.
+     * @param {WaitOptions} [options]
+     * @returns {Future<Guard>} A {@link Guard} that releases the permits.
+     */
+    acquire(key, n=1, options) {
+        if (typeof n === 'object') {
+            options = n;
+            n = 1;
+        }
+        return this._acquire(key, sem => sem.acquire(n, options), () => this.release(key, n));
+    }
+
+    /**
+     * Hold permits for a key while running an async function.  The permits are released
+     * when the function returns or throws.
+     *
+     * @param {*} key
+     * @param {Function} fn - An async function to run with the permits held.
+     * @param {Number} [n=1] - The number of permits to acquire.
+     * @param {WaitOptions} [options]
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    run(key, fn, n, options) {
+        return runGuarded(() => this.acquire(key, n, options), fn);
+    }
+
+    /**
+     * Release permits for a key.
+     *
+     * @param {*} key
+     * @param {Number} [n=1] - The number of permits to release.
+     */
+    release(key, n=1) {
+        const sem = this._release(key);
+        sem.release(n);
+        this._maybeDrop(key, sem);
+    }
+}
+
+
+function atomicAcquire(primitive, tryAcquire, options) {
+    const state = primitive._state;
+    const f = new Future({owner: primitive});
+    const attempt = () => {
+        if (f.done()) {
+            return;
+        }
+        const current = tryAcquire();
+        if (current === true) {
+            f.setResult(new Guard(() => primitive.release()));
+            return;
+        }
+        const {async, value} = Atomics.waitAsync(state, 0, current);
+        if (async) {
+            value.then(attempt);
+        } else {
+            attempt();  // The value changed before we could wait.
+        }
+    };
+    f.addImmediateCallback(() => {
+        if (f.cancelled()) {
+            // An async wait can't be withdrawn, so wake every waiter.  Ours finishes and
+            // the rest retry, which also ensures a notify consumed by us is not lost.
+            Atomics.notify(state, 0);
+        }
+    });
+    attempt();
+    return withWaitOptions(f, options);
+}
+
+
+/**
+ * A {@link Lock} that can be shared between threads, such as Node's `worker_threads`
+ * or Web Workers.  The state lives in a
+ * [SharedArrayBuffer]{@link external:SharedArrayBuffer} which is sent to other threads
+ * and wrapped with [SharedLock.from]{@link SharedLock.from}.  Waiting is asynchronous
+ * and does not block the event loop.
+ *
+ * Unlike {@link Lock}, waiters are not woken in FIFO order.  Note that a pending
+ * wait does not keep a Node event loop alive, so a worker must have some other
+ * reason to stay running, such as a message listener.
+ *
+ * @param {Object} [options]
+ * @param {external:SharedArrayBuffer} [options.buffer] - Existing state from another SharedLock.
+ * @example
+ * // main thread
+ * const lock = new SharedLock();
+ * worker.postMessage(lock.buffer);
+ * // worker thread
+ * parentPort.on('message', async buffer => {
+ *     const lock = SharedLock.from(buffer);
+ *     await lock.run(async () => { ... });
+ * });
+ */
+export class SharedLock {
+    constructor(options={}) {
+        this._state = new Int32Array(options.buffer || new SharedArrayBuffer(4));
+    }
+
+    /**
+     * Wrap the state of a SharedLock created elsewhere.
+     *
+     * @param {external:SharedArrayBuffer} buffer - The [buffer]{@link SharedLock#buffer}
+     *                                              of another SharedLock.
+     * @returns {SharedLock}
+     */
+    static from(buffer) {
+        return new this({buffer});
+    }
+
+    /**
+     * The shared state to send to other threads.
+     *
+     * @type {external:SharedArrayBuffer}
+     */
+    get buffer() {
+        return this._state.buffer;
+    }
+
+    /**
+     * Indicates the locked state of the SharedLock in any thread.
+     *
+     * @returns {boolean}
+     */
+    locked() {
+        return Atomics.load(this._state, 0) !== 0;
+    }
+
+    /**
+     * Acquire the lock if available, otherwise wait until it is released.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @returns {Future<Guard>} A {@link Guard} that releases the lock.
+     */
+    acquire(options) {
+        return atomicAcquire(this, () => {
+            const prev = Atomics.compareExchange(this._state, 0, 0, 1);
+            return prev === 0 ? true : prev;
+        }, options);
+    }
+
+    /**
+     * Hold the lock while running an async function.  The lock is released when the
+     * function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the lock held.
+     * @param {WaitOptions} [options] - Options for the [acquire]{@link SharedLock#acquire}.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    run(fn, options) {
+        return runGuarded(() => this.acquire(options), fn);
+    }
+
+    /**
+     * Release this lock and wake up one waiter in any thread.
+     */
+    release() {
+        if (Atomics.compareExchange(this._state, 0, 1, 0) !== 1) {
+            throw new Error('Lock is not acquired');
+        }
+        Atomics.notify(this._state, 0, 1);
+    }
+}
+
+
+/**
+ * A {@link Semaphore} that can be shared between threads.  See {@link SharedLock}
+ * for how to share it.
+ *
+ * @param {Number} [value=1] - The number of simultaneous acquisitions
+ *                             this semaphore will permit before blocking.
+ * @param {Object} [options]
+ * @param {external:SharedArrayBuffer} [options.buffer] - Existing state from another
+ *                                                        SharedSemaphore.  The `value`
+ *                                                        is ignored.
+ */
+export class SharedSemaphore {
+    constructor(value=1, options={}) {
+        if (options.buffer) {
+            this._state = new Int32Array(options.buffer);
+        } else {
+            if (value < 0) {
+                throw new Error('Value must be >= 0');
+            }
+            this._state = new Int32Array(new SharedArrayBuffer(4));
+            this._state[0] = value;
+        }
+    }
+
+    /**
+     * Wrap the state of a SharedSemaphore created elsewhere.
+     *
+     * @param {external:SharedArrayBuffer} buffer - The [buffer]{@link SharedSemaphore#buffer}
+     *                                              of another SharedSemaphore.
+     * @returns {SharedSemaphore}
+     */
+    static from(buffer) {
+        return new this(undefined, {buffer});
+    }
+
+    /**
+     * The shared state to send to other threads.
+     *
+     * @type {external:SharedArrayBuffer}
+     */
+    get buffer() {
+        return this._state.buffer;
+    }
+
+    /**
+     * The number of permits that can be acquired without blocking.
+     *
+     * @type {Number}
+     */
+    get available() {
+        return Atomics.load(this._state, 0);
+    }
+
+    /**
+     * Has the semaphore exhausted all acquisitions in every thread.
+     *
+     * @returns {boolean} {@link true} if it will block an [acquire]{@link SharedSemaphore#acquire}
+     */
+    locked() {
+        return Atomics.load(this._state, 0) <= 0;
+    }
+
+    /**
+     * Acquire a slot in this semaphore, waiting until one is available.
+     *
+     * @async
+     * @param {WaitOptions} [options]
+     * @returns {Future<Guard>} A {@link Guard} that releases the slot.
+     */
+    acquire(options) {
+        return atomicAcquire(this, () => {
+            let value = Atomics.load(this._state, 0);
+            while (value > 0) {
+                const prev = Atomics.compareExchange(this._state, 0, value, value - 1);
+                if (prev === value) {
+                    return true;
+                }
+                value = prev;
+            }
+            return value;
+        }, options);
+    }
+
+    /**
+     * Hold a slot while running an async function.  The slot is released when the
+     * function returns or throws.
+     *
+     * @param {Function} fn - An async function to run with the slot held.
+     * @param {WaitOptions} [options] - Options for the [acquire]{@link SharedSemaphore#acquire}.
+     * @returns {Promise<*>} The return value of `fn`.
+     */
+    run(fn, options) {
+        return runGuarded(() => this.acquire(options), fn);
+    }
+
+    /**
+     * Release a slot and wake up one waiter in any thread.
+     */
+    release() {
+        Atomics.add(this._state, 0, 1);
+        Atomics.notify(this._state, 0, 1);
+    }
+}
+
+
+/**
+ * The built in RangeError object.
+ *
+ * @external RangeError
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RangeError}
+ */
+
+
+/**
+ * The built in SharedArrayBuffer object.
+ *
+ * @external SharedArrayBuffer
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/SharedArrayBuffer}
+ */
@@ -1,6 +1,6 @@
 /* global */
 
-import {Future} from './futures.mjs';
+import {Future, withWaitOptions} from './futures.mjs';
 import * as locks from './locks.mjs';
 
 
@@ -18,12 +18,34 @@ export class QueueEmpty extends Error {}
  */
 export class QueueFull extends Error {}
 
+/**
+ * Indicates that the queue was [shut down]{@link Queue#shutdown}.
+ *
+ * @extends external:Error
+ */
+export class QueueShutDown extends Error {}
+
 /**
  * @typedef QueueWaitOptions
  * @type {Object}
  * @property {Number} [size] - Wait until the available items meets or exceeds this value.
+ * @property {Number} [timeout] - Milliseconds to wait before giving up with a {@link TimeoutError}.
+ * @property {external:AbortSignal} [signal] - Abort the wait when this signal is aborted.
  */
 
+
+function discardOnCancel(waiters, f) {
+    f.addImmediateCallback(() => {
+        if (f.cancelled()) {
+            const idx = waiters.indexOf(f);
+            if (idx !== -1) {
+                waiters.splice(idx, 1);
+            }
+        }
+    });
+}
+
+
 /**
  * A classic producer/consumer construct for regulating work.
  *
@@ -39,6 +61,7 @@ export class Queue {
         this._finished = new locks.Event();
         this._finished.set();
         this._queue = [];
+        this._isShutdown = false;
     }
 
     /**
@@ -55,6 +78,12 @@ export class Queue {
         return this._queue.push(item);
     }
 
+    _wakeupAll(waiters) {
+        while (waiters.length) {
+            waiters.shift().setResult();
+        }
+    }
+
     _wakeupNext(waiters) {
         while (waiters.length) {
             const w = waiters.shift();
@@ -93,26 +122,134 @@ export class Queue {
         }
     }
 
+    /**
+     * @returns {boolean} {@link true} if [shutdown]{@link Queue#shutdown} was called.
+     */
+    isShutdown() {
+        return this._isShutdown;
+    }
+
+    /**
+     * Shut down the queue.  Afterwards [put]{@link Queue#put} throws {@link QueueShutDown}
+     * and getters can drain the remaining items before also throwing
+     * {@link QueueShutDown}.  Blocked putters and getters are woken up to do the same.
+     *
+     * @see Python's [asyncio.Queue.shutdown]{@link https://docs.python.org/3/library/asyncio-queue.html#asyncio.Queue.shutdown}
+     * @param {boolean} [immediate=false] - Discard the remaining items.  They are counted
+     *                                      as done, so [join]{@link Queue#join} is
+     *                                      released if there are no other unfinished tasks.
+     */
+    shutdown(immediate=false) {
+        this._isShutdown = true;
+        if (immediate) {
+            while (this.size) {
+                this._get();
+                if (this._unfinishedTasks > 0) {
+                    this._unfinishedTasks--;
+                }
+            }
+            if (this._unfinishedTasks === 0) {
+                this._finished.set();
+            }
+        }
+        this._wakeupAll(this._getters);
+        this._wakeupAll(this._putters);
+    }
+
     /**
      * Place a new item in the queue if it is not full.  Otherwise block until space is
-     * available.
+     * available.  The returned {@link Future} can be cancelled to stop waiting.
      *
+     * @async
      * @param {*} item - Any object to pass to the caller of [dequeue]{@link Queue#dequeue}.
+     * @param {WaitOptions} [options]
+     * @throws {QueueShutDown}
+     * @returns {Future} Resolves when the item is placed in the queue.
      */
-    async put(...args) {
-        while (this.full) {
-            const putter = new Future();
-            this._putters.push(putter);
+    put(item, options) {
+        return this.waitSpace(options, () => this.putNoWait(item));
+    }
+
+    _waitFor(waiters, check, options, _callback) {
+        const settle = f => {
             try {
-                await putter;
+                f.setResult(_callback ? _callback() : undefined);
             } catch(e) {
-                if (!this.full) {
-                    this._wakeupNext(this._putters);
-                }
-                throw e;
+                f.setError(e);
             }
+        };
+        let ready;
+        try {
+            ready = check();
+        } catch(e) {
+            const f = new Future({owner: this});
+            f.setError(e);
+            return f;
         }
-        return this.putNoWait(...args);
+        if (ready) {
+            const f = new Future({owner: this});
+            settle(f);
+            return f;
+        }
+        // If `waiter` gets collected before we set a result on it, it's likely a
+        // user error.  They must be cancelled if the result is going to be unused.
+        const waiter = new Future({trackFinalization: true, owner: this});
+        let slot;
+        const scheduleWait = () => {
+            slot = new Future({owner: this});
+            slot.addImmediateCallback(() => {
+                // We cancelled too, but we only need to check the waiter's state
+                if (waiter.done()) {
+                    return;
+                }
+                let ready;
+                try {
+                    ready = check();
+                } catch(e) {
+                    waiter.setError(e);
+                    return;
+                }
+                if (ready) {
+                    settle(waiter);
+                } else {
+                    // Not enough for us, but it may be enough for the next in line.
+                    this._wakeupNext(waiters);
+                    scheduleWait();
+                }
+            });
+            discardOnCancel(waiters, slot);
+            waiters.push(slot);
+        };
+        scheduleWait();
+        waiter.addImmediateCallback(() => {
+            if (waiter.cancelled()) {
+                slot.cancel();
+            }
+        });
+        return withWaitOptions(waiter, options);
+    }
+
+    /**
+     * Wait for space to be available in the queue.  This is the producer's counterpart
+     * to [wait]{@link Queue#wait}, e.g. to check capacity before building an item.  The
+     * space is not reserved, so a [putNoWait]{@link Queue#putNoWait} after waiting could
+     * still fail if other producers are using the queue.  Users should
+     * [cancel]{@link Future#cancel} the returned {@link Future} if they are no longer
+     * waiting.
+     *
+     * @async
+     * @param {QueueWaitOptions} [options] - The `size` is the amount of free space to wait for.
+     * @throws {QueueShutDown}
+     * @returns {Future} Resolves when space is available to [put]{@link Queue#put}.
+     */
+    waitSpace(options={}, _callback) {
+        const size = options.size == null ? 1 : options.size;
+        return this._waitFor(this._putters, () => {
+            if (this._isShutdown) {
+                throw new QueueShutDown();
+            }
+            return this._maxsize <= 0 || this._maxsize - this.size >= size;
+        }, options, _callback);
     }
 
     /**
@@ -120,8 +257,12 @@ export class Queue {
      *
      * @param {*} item - Any object to pass to the caller of [dequeue]{@link Queue#dequeue}.
      * @throws {QueueFull}
+     * @throws {QueueShutDown}
      */
     putNoWait(...args) {
+        if (this._isShutdown) {
+            throw new QueueShutDown();
+        }
         if (this.full) {
             throw new QueueFull();
         }
@@ -136,44 +277,27 @@ export class Queue {
      * Users should [cancel]{@link Future#cancel} the returned {@link Future} if they
      * are no longer wanting data. Such as when used in {@link Promise.race}.
      *
+     * Once the queue is shut down no more items will arrive, so any remaining items
+     * satisfy the wait regardless of `size`.
+     *
      * @async
      * @param {QueueWaitOptions} [options]
+     * @throws {QueueShutDown} If the queue is shut down and empty.
      * @returns {Future} Resolves when data is available to [get]{@link Queue#get}.
      */
     wait(options={}, _callback) {
         const size = options.size == null ? 1 : options.size;
-        if (this.size < size) {
-            // If `waiter` gets collected before we set a result on it, it's likely a
-            // user error.  They must be cancelled if the result is going to be unused.
-            const waiter = new Future({trackFinalization: true});
-            let getter;
-            const scheduleWait = () => {
-                getter = new Future();
-                getter.addImmediateCallback(() => {
-                    // We cancelled too, but we only need to check the waiter's state
-                    if (waiter.cancelled()) {
-                        return;
-                    }
-                    if (this.size < size) {
-                        scheduleWait();
-                    } else {
-                        waiter.setResult(_callback ? _callback() : undefined);
-                    }
-                });
-                this._getters.push(getter);
-            };
-            scheduleWait();
-            waiter.addImmediateCallback(() => {
-                if (waiter.cancelled()) {
-                    getter.cancel();
+        return this._waitFor(this._getters, () => {
+            if (this.size >= size) {
+                return true;
+            } else if (this._isShutdown) {
+                if (this.size) {
+                    return true;
                 }
-            });
-            return waiter;
-        } else {
-            const ready = new Future();
-            ready.setResult(_callback ? _callback() : undefined);
-            return ready;
-        }
+                throw new QueueShutDown();
+            }
+            return false;
+        }, options, _callback);
     }
 
     /**
@@ -192,11 +316,12 @@ export class Queue {
      * Get an item from the queue if it is not empty.
      *
      * @throws {QueueEmpty}
+     * @throws {QueueShutDown} If the queue is shut down and empty.
      * @returns {*} An item from the head of the queue.
      */
     getNoWait() {
         if (!this.size) {
-            throw new QueueEmpty();
+            throw this._isShutdown ? new QueueShutDown() : new QueueEmpty();
         }
         const item = this._get();
         this._wakeupNext(this._putters);
@@ -219,9 +344,13 @@ export class Queue {
     /**
      * Get all items from the queue without waiting.
      *
+     * @throws {QueueShutDown} If the queue is shut down and empty.
      * @returns {Array<*>} An {@link Array} of items from the queue.
      */
     getAllNoWait() {
+        if (this._isShutdown && !this.size) {
+            throw new QueueShutDown();
+        }
         const items = [];
         while (this.size) {
             items.push(this._get());
@@ -230,6 +359,77 @@ export class Queue {
         return items;
     }
 
+    /**
+     * Create an async iterator of items from the queue.  Iteration ends when the queue
+     * is [shut down]{@link Queue#shutdown} and empty.  Note that the {@link Queue}
+     * instance itself is also iterable.
+     *
+     * Stopping the iteration, e.g. with `break`, cancels any outstanding
+     * [get]{@link Queue#get}.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.autoTaskDone] - Call [taskDone]{@link Queue#taskDone} for
+     *                                           each item when the loop body finishes or throws.
+     * @param {external:AbortSignal} [options.signal] - Abort the iteration when this signal
+     *                                                  is aborted.
+     * @returns {AsyncIterator<*>}
+     * @example
+     * for await (const item of queue.items({autoTaskDone: true})) {
+     *     await process(item);
+     * }
+     */
+    items(options={}) {
+        const autoTaskDone = !!options.autoTaskDone;
+        let pending = null;
+        let holding = false;
+        let finished = false;
+        const release = () => {
+            if (holding) {
+                holding = false;
+                this.taskDone();
+            }
+        };
+        const iterator = {
+            next: async () => {
+                release();
+                if (finished) {
+                    return {done: true, value: undefined};
+                }
+                let value;
+                pending = this.get({signal: options.signal});
+                try {
+                    value = await pending;
+                } catch(e) {
+                    if (finished || e instanceof QueueShutDown) {
+                        finished = true;
+                        return {done: true, value: undefined};
+                    }
+                    throw e;
+                } finally {
+                    pending = null;
+                }
+                holding = autoTaskDone;
+                return {done: false, value};
+            },
+            return: async value => {
+                finished = true;
+                if (pending) {
+                    pending.cancel();
+                }
+                release();
+                return {done: true, value};
+            },
+            [Symbol.asyncIterator]() {
+                return iterator;
+            }
+        };
+        return iterator;
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.items();
+    }
+
     /**
      * Decrement the number of pending tasks.  Called by consumers after completing
      * their use of a dequeued item to indicate that processing has finished.
@@ -254,14 +454,15 @@ export class Queue {
      * was made to [taskdone]{@link Queue#taskDone}.
      *
      * @async
+     * @param {WaitOptions} [options]
      * @returns {Future<boolean>} {@link true}
      */
-    join() {
+    join(options) {
         let f;
         if (this._unfinishedTasks > 0) {
-            f = this._finished.wait();
+            f = this._finished.wait(options);
         } else {
-            f = new Future();
+            f = new Future({owner: this});
             f.setResult(true);
         }
         return f;
@@ -294,19 +495,24 @@ export class PriorityQueue extends Queue {
     _get() {
         return this._queue.pop()[1];
     }
-}
 
-// We don't need to override put, but it's worth documenting the params...
+    /**
+     * Place a new item in the queue if it is not full.  Otherwise block until space is
+     * available.
+     *
+     * @async
+     * @param {*} item - Any object to pass to the caller of [dequeue]{@link Queue#dequeue}.
+     * @param {Number} prio - The sort order for this item.
+     * @param {WaitOptions} [options]
+     * @throws {QueueShutDown}
+     * @returns {Future} Resolves when the item is placed in the queue.
+     */
+    put(item, prio, options) {
+        return this.waitSpace(options, () => this.putNoWait(item, prio));
+    }
+}
 
-/**
- * Place a new item in the queue if it is not full.  Otherwise block until space is
- * available.
- *
- * @async
- * @function PriorityQueue#put
- * @param {*} item - Any object to pass to the caller of [dequeue]{@link Queue#dequeue}.
- * @param {Number} prio - The sort order for this item.
- */
+// We don't need to override putNoWait, but it's worth documenting the params...
 
 /**
  * Place a new item in the queue if it is not full.
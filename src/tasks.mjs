@@ -0,0 +1,351 @@
+/* global AggregateError */
+
+import {Future, CancelledError} from './futures.mjs';
+import {asyncDispose} from './_util.mjs';
+
+
+let taskCounter = 0;
+
+/**
+ * @typedef TaskOptions
+ * @type {Object}
+ * @property {String} [name] - A name for the Task, useful for debugging.
+ * @property {external:AbortSignal} [signal] - Cancel the Task when this signal is aborted.
+ */
+
+/**
+ * A {@link Future} that runs an async function and is fulfilled with its return value.
+ * Cancellation is cooperative;  Calling [cancel]{@link Task#cancel} on a running
+ * Task aborts its [signal]{@link Task#signal}, which is the Task's cancellation token.
+ * Any wait issued with `{signal: task.signal}` and the next call to
+ * [checkpoint]{@link Task#checkpoint} will then throw a {@link CancelledError}.
+ * Once the function throws a {@link CancelledError} the Task is cancelled.
+ *
+ * The function is started on the next microtask.
+ *
+ * @see Python's [asyncio.Task]{@link https://docs.python.org/3/library/asyncio-task.html#asyncio.Task}
+ * @extends Future
+ * @param {Function} fn - An async function that is called with the Task as its only argument.
+ * @param {TaskOptions} [options]
+ * @example
+ * const task = new Task(async task => {
+ *     while (true) {
+ *         const item = await queue.get({signal: task.signal});
+ *         await process(item);
+ *         await task.checkpoint();
+ *     }
+ * }, {name: 'consumer'});
+ * // later...
+ * task.cancel();
+ * await task; // throws CancelledError
+ */
+export class Task extends Future {
+    constructor(fn, options={}) {
+        const name = options.name || `Task-${++taskCounter}`;
+        super({label: name, ...options});
+        /**
+         * @type {String}
+         */
+        this.name = name;
+        /**
+         * The stack trace of where this Task was created.
+         * @type {String}
+         */
+        this.creationStack = new Error().stack;
+        this._fn = fn;
+        this._started = false;
+        this._cancelError = null;
+        this._abortController = new AbortController();
+        if (options.signal) {
+            const signal = options.signal;
+            if (signal.aborted) {
+                this.cancel('Aborted');
+            } else {
+                const onAbort = () => this.cancel('Aborted');
+                signal.addEventListener('abort', onAbort, {once: true});
+                this.addImmediateCallback(() => signal.removeEventListener('abort', onAbort));
+            }
+        }
+        queueMicrotask(() => this._run());
+    }
+
+    get [Symbol.toStringTag]() {
+        return 'Task';
+    }
+
+    /**
+     * The current state of the Task: `pending`, `running`, `done` or `cancelled`.
+     *
+     * @type {String}
+     */
+    get state() {
+        if (this.cancelled()) {
+            return 'cancelled';
+        } else if (this.done()) {
+            return 'done';
+        } else {
+            return this._started ? 'running' : 'pending';
+        }
+    }
+
+    /**
+     * Request cancellation of the Task.  If the Task has not started it is cancelled
+     * immediately, otherwise the [signal]{@link Task#signal} is aborted with a
+     * {@link CancelledError} and the Task is cancelled once the function throws it.
+     *
+     * @param {String} [msg] - An optional message for the {@link CancelledError}.
+     * @returns {boolean} {@link true} if cancellation was requested.
+     */
+    cancel(msg) {
+        if (this.done() || this._cancelError) {
+            return false;
+        }
+        if (!this._started) {
+            super.cancel(msg);
+            this._abortController.abort(this._error);
+        } else {
+            this._cancelError = new CancelledError(msg);
+            this._abortController.abort(this._cancelError);
+        }
+        return true;
+    }
+
+    /**
+     * Indicates if [cancel]{@link Task#cancel} was called on this Task.
+     *
+     * @returns {boolean}
+     */
+    cancelling() {
+        return !!this._cancelError || this.cancelled();
+    }
+
+    /**
+     * A cooperative cancellation point.  Yields to the event loop and then throws a
+     * {@link CancelledError} if the Task has been cancelled.
+     *
+     * @throws {CancelledError}
+     */
+    async checkpoint() {
+        if (!this._cancelError) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (this._cancelError) {
+            throw this._cancelError;
+        }
+    }
+
+    /**
+     * @throws {Error} Tasks are fulfilled by their function.
+     */
+    setResult() {
+        throw new Error('Task result can not be set');
+    }
+
+    /**
+     * @throws {Error} Tasks are fulfilled by their function.
+     */
+    setError() {
+        throw new Error('Task error can not be set');
+    }
+
+    async _run() {
+        if (this.done()) {
+            return;
+        }
+        this._started = true;
+        let result;
+        try {
+            result = await this._fn(this);
+        } catch(e) {
+            if (e instanceof CancelledError) {
+                super.cancel(e.message || undefined);
+            } else {
+                super.setError(e);
+            }
+            return;
+        }
+        super.setResult(result);
+    }
+}
+
+/**
+ * The cancellation token of a Task.  It is aborted with a {@link CancelledError}
+ * when [cancel]{@link Task#cancel} is called.  Pass it to any jscoop wait so the
+ * wait is interrupted by cancellation.
+ *
+ * @member {external:AbortSignal} Task#signal
+ */
+
+
+/**
+ * A structured concurrency construct for a group of related {@link Task}s.
+ * Tasks are started with [spawn]{@link TaskGroup#spawn} and waited on with
+ * [join]{@link TaskGroup#join}.  If any Task fails the remaining Tasks are
+ * cancelled and [join]{@link TaskGroup#join} is rejected with an
+ * [AggregateError]{@link external:AggregateError} of the failures.
+ *
+ * @see Python's [asyncio.TaskGroup]{@link https://docs.python.org/3/library/asyncio-task.html#task-groups}
+ * @param {Object} [options]
+ * @param {external:AbortSignal} [options.signal] - Cancel the group when this signal is aborted.
+ * @example
+ * await using group = new TaskGroup();
+ * group.spawn(async task => await consume(queue, task.signal));
+ * group.spawn(async task => await consume(queue, task.signal));
+ * // The group is joined when it goes out of scope.
+ */
+export class TaskGroup {
+    constructor(options={}) {
+        this._tasks = new Set();
+        this._errors = [];
+        this._abortController = new AbortController();
+        this._cancelled = false;
+        this._joined = null;
+        this._signal = null;
+        this._onAbort = null;
+        if (options.signal) {
+            const signal = options.signal;
+            if (signal.aborted) {
+                this.cancel('Aborted');
+            } else {
+                this._signal = signal;
+                this._onAbort = () => this.cancel('Aborted');
+                signal.addEventListener('abort', this._onAbort, {once: true});
+            }
+        }
+    }
+
+    /**
+     * An [AbortSignal]{@link external:AbortSignal} that is aborted when the group is
+     * cancelled or one of its Tasks fails.  Every Task in the group is linked to it.
+     *
+     * @type {external:AbortSignal}
+     */
+    get signal() {
+        return this._abortController.signal;
+    }
+
+    /**
+     * The number of Tasks in the group that are not done.
+     *
+     * @type {Number}
+     */
+    get size() {
+        return this._tasks.size;
+    }
+
+    /**
+     * Start a new {@link Task} in this group.
+     *
+     * @param {Function} fn - An async function that is called with the new Task.
+     * @param {Object} [options]
+     * @param {String} [options.name] - The name of the Task.
+     * @returns {Task}
+     */
+    spawn(fn, options={}) {
+        if (this._joined && this._joined.done()) {
+            throw new Error('TaskGroup is finished');
+        }
+        if (this.signal.aborted) {
+            throw new Error('TaskGroup is shutting down');
+        }
+        const task = new Task(fn, {name: options.name, signal: this.signal});
+        this._tasks.add(task);
+        task.addImmediateCallback(() => this._onTaskDone(task));
+        return task;
+    }
+
+    /**
+     * Cancel every pending Task in the group.
+     *
+     * @param {String} [msg] - An optional message for the {@link CancelledError}.
+     * @returns {boolean} {@link true} if the group was not already cancelled.
+     */
+    cancel(msg) {
+        if (this._cancelled) {
+            return false;
+        }
+        this._cancelled = true;
+        this._abort(msg);
+        this._maybeFinish();
+        return true;
+    }
+
+    /**
+     * Wait for every Task in the group to finish.  Cancelling the returned {@link Future}
+     * cancels the group.
+     *
+     * @async
+     * @throws {external:AggregateError} If any of the Tasks failed.
+     * @throws {CancelledError} If the group was cancelled.
+     * @returns {Future}
+     */
+    join() {
+        if (!this._joined) {
+            this._joined = new Future({owner: this});
+            this._joined.addImmediateCallback(() => {
+                this._detachSignal();
+                if (this._joined.cancelled()) {
+                    this.cancel();
+                }
+            });
+            this._maybeFinish();
+        }
+        return this._joined;
+    }
+
+    [asyncDispose]() {
+        return this.join();
+    }
+
+    _abort(msg) {
+        if (!this.signal.aborted) {
+            this._abortController.abort(new CancelledError(msg));
+        }
+    }
+
+    _onTaskDone(task) {
+        this._tasks.delete(task);
+        if (!task.cancelled() && task.error() !== undefined) {
+            // The error is delivered by join().
+            task.catch(() => void 0);
+            this._errors.push(task.error());
+            this._abort('Sibling task failed');
+        }
+        this._maybeFinish();
+    }
+
+    _detachSignal() {
+        if (this._signal) {
+            this._signal.removeEventListener('abort', this._onAbort);
+            this._signal = this._onAbort = null;
+        }
+    }
+
+    _maybeFinish() {
+        if (this._tasks.size) {
+            return;
+        }
+        if (this._cancelled) {
+            // No Task can be spawned anymore, so the signal has nothing left to cancel.
+            this._detachSignal();
+        }
+        if (!this._joined || this._joined.done()) {
+            return;
+        }
+        if (this._errors.length) {
+            this._joined.setError(new AggregateError(this._errors, 'TaskGroup failed'));
+        } else if (this._cancelled) {
+            this._joined.cancel();
+        } else {
+            this._joined.setResult();
+        }
+    }
+}
+
+
+/**
+ * The built in AggregateError object.
+ *
+ * @external AggregateError
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/AggregateError}
+ */
@@ -7,3 +7,377 @@ function sleep(ms) {
 test('Future sanity', () => {
     new futures.Future();
 });
+
+test('Future cancel rejects awaiters', async () => {
+    const f = new futures.Future();
+    setTimeout(() => f.cancel('stop'), 10);
+    await expect(f).rejects.toThrow(futures.CancelledError);
+    expect(f.cancelled()).toBe(true);
+    expect(f.done()).toBe(true);
+    expect(() => f.result()).toThrow('stop');
+    expect(() => f.error()).toThrow(futures.CancelledError);
+});
+
+test('Future cancel unobserved', async () => {
+    const f = new futures.Future();
+    expect(f.cancel()).toBe(true);
+    expect(f.cancel()).toBe(false);
+    await sleep(0); // No unhandled rejection
+});
+
+test('Future cancel after fulfillment', async () => {
+    const f = new futures.Future();
+    f.setResult(11);
+    expect(f.cancel()).toBe(false);
+    expect(await f).toBe(11);
+});
+
+test('waitFor resolves', async () => {
+    const f = new futures.Future();
+    setTimeout(() => f.setResult(11), 10);
+    expect(await futures.waitFor(f, 1000)).toBe(11);
+});
+
+test('waitFor timeout cancels inner Future', async () => {
+    const f = new futures.Future();
+    await expect(futures.waitFor(f, 10)).rejects.toThrow(futures.TimeoutError);
+    expect(f.cancelled()).toBe(true);
+});
+
+test('waitFor promise timeout', async () => {
+    await expect(futures.waitFor(sleep(1000), 10)).rejects.toThrow(futures.TimeoutError);
+});
+
+test('waitFor cancel propagates', async () => {
+    const f = new futures.Future();
+    const w = futures.waitFor(f, 1000);
+    w.cancel();
+    expect(f.cancelled()).toBe(true);
+    await expect(w).rejects.toThrow(futures.CancelledError);
+});
+
+test('withWaitOptions signal abort', async () => {
+    const ac = new AbortController();
+    const f = new futures.Future();
+    const w = futures.withWaitOptions(f, {signal: ac.signal});
+    ac.abort(new Error('abort reason'));
+    await expect(w).rejects.toThrow('abort reason');
+    expect(f.cancelled()).toBe(true);
+});
+
+test('withWaitOptions signal pre-aborted', async () => {
+    const f = new futures.Future();
+    const w = futures.withWaitOptions(f, {signal: AbortSignal.abort(new Error('early'))});
+    await expect(w).rejects.toThrow('early');
+    expect(f.cancelled()).toBe(true);
+});
+
+test('Future.fromSignal', async () => {
+    const ac = new AbortController();
+    const f = futures.Future.fromSignal(ac.signal);
+    expect(f.done()).toBe(false);
+    ac.abort(new Error('bye'));
+    await expect(f).rejects.toThrow('bye');
+});
+
+test('Future signal', async () => {
+    const f = new futures.Future();
+    const signal = f.signal;
+    expect(signal.aborted).toBe(false);
+    f.cancel('nope');
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason).toBeInstanceOf(futures.CancelledError);
+    const f2 = new futures.Future();
+    f2.setResult(1);
+    expect(f2.signal.aborted).toBe(false);
+});
+
+test('gather', async () => {
+    const f = new futures.Future();
+    const g = futures.gather([f, sleep(10).then(() => 2), 3]);
+    f.setResult(1);
+    expect(await g).toEqual([1, 2, 3]);
+    expect(await futures.gather([])).toEqual([]);
+});
+
+test('gather error', async () => {
+    const f = new futures.Future();
+    const g = futures.gather([f, Promise.reject(new Error('fail'))]);
+    await expect(g).rejects.toThrow('fail');
+    expect(f.done()).toBe(false);
+});
+
+test('gather returnExceptions', async () => {
+    const err = new Error('fail');
+    const f = new futures.Future();
+    f.cancel();
+    const results = await futures.gather([1, Promise.reject(err), f], {returnExceptions: true});
+    expect(results[0]).toBe(1);
+    expect(results[1]).toBe(err);
+    expect(results[2]).toBeInstanceOf(futures.CancelledError);
+});
+
+test('gather cancel', async () => {
+    const f1 = new futures.Future();
+    const f2 = new futures.Future();
+    f2.setResult(2);
+    const g = futures.gather([f1, f2]);
+    g.cancel();
+    expect(f1.cancelled()).toBe(true);
+    expect(f2.cancelled()).toBe(false);
+    await expect(g).rejects.toThrow(futures.CancelledError);
+});
+
+test('wait ALL_COMPLETED', async () => {
+    const f1 = new futures.Future();
+    const f2 = new futures.Future();
+    setTimeout(() => f1.setResult(1), 10);
+    setTimeout(() => f2.setResult(2), 20);
+    const {done, pending} = await futures.wait([f1, f2]);
+    expect(done.size).toBe(2);
+    expect(pending.size).toBe(0);
+});
+
+test('wait FIRST_COMPLETED', async () => {
+    const f1 = new futures.Future();
+    const f2 = new futures.Future();
+    setTimeout(() => f1.setResult(1), 10);
+    const {done, pending} = await futures.wait([f1, f2], {returnWhen: futures.FIRST_COMPLETED});
+    expect(Array.from(done)).toEqual([f1]);
+    expect(Array.from(pending)).toEqual([f2]);
+});
+
+test('wait FIRST_EXCEPTION', async () => {
+    const f1 = new futures.Future();
+    const f2 = new futures.Future();
+    const f3 = new futures.Future();
+    f1.setResult(1);
+    setTimeout(() => f2.setError(new Error('fail')), 10);
+    const {done, pending} = await futures.wait([f1, f2, f3], {returnWhen: futures.FIRST_EXCEPTION});
+    expect(done.size).toBe(2);
+    expect(Array.from(pending)).toEqual([f3]);
+    expect(f2.error().message).toBe('fail');
+});
+
+test('wait timeout', async () => {
+    const f = new futures.Future();
+    const {done, pending} = await futures.wait([f], {timeout: 10});
+    expect(done.size).toBe(0);
+    expect(pending.size).toBe(1);
+    expect(f.done()).toBe(false);
+});
+
+test('asCompleted', async () => {
+    const results = [];
+    for await (const x of futures.asCompleted([sleep(30).then(() => 3), sleep(10).then(() => 1), 0])) {
+        results.push(x);
+    }
+    expect(results).toEqual([0, 1, 3]);
+});
+
+test('asCompleted timeout', async () => {
+    const results = [];
+    const gen = futures.asCompleted([1, new futures.Future()], {timeout: 10});
+    await expect((async () => {
+        for await (const x of gen) {
+            results.push(x);
+        }
+    })()).rejects.toThrow(futures.TimeoutError);
+    expect(results).toEqual([1]);
+});
+
+test('timeoutScope expires waits', async () => {
+    const scope = futures.timeoutScope(20);
+    const f1 = futures.withWaitOptions(new futures.Future(), {signal: scope.signal});
+    const f2 = futures.withWaitOptions(new futures.Future(), {signal: scope.signal});
+    expect(scope.expired()).toBe(false);
+    await expect(f1).rejects.toThrow(futures.TimeoutError);
+    await expect(f2).rejects.toThrow(futures.TimeoutError);
+    expect(scope.expired()).toBe(true);
+    expect(() => scope.reschedule(Date.now() + 1000)).toThrow();
+});
+
+test('timeoutScope reschedule', async () => {
+    const scope = futures.timeoutScope(10);
+    scope.reschedule(Date.now() + 50);
+    await sleep(20);
+    expect(scope.signal.aborted).toBe(false);
+    scope.reschedule(null);
+    expect(scope.deadline()).toBe(null);
+    await sleep(50);
+    expect(scope.expired()).toBe(false);
+    scope.close();
+});
+
+test('timeoutScope nested', async () => {
+    const outer = futures.timeoutScope(10);
+    const inner = futures.timeoutScope(1000, {signal: outer.signal});
+    const f = futures.withWaitOptions(new futures.Future(), {signal: inner.signal});
+    await expect(f).rejects.toThrow(futures.TimeoutError);
+    expect(outer.expired()).toBe(true);
+    expect(inner.expired()).toBe(false);
+    expect(inner.signal.aborted).toBe(true);
+});
+
+test('timeoutScope with aborted parent', async () => {
+    const ac = new AbortController();
+    ac.abort(new Error('parent aborted'));
+    const scope = futures.timeoutScope(100, {signal: ac.signal});
+    expect(scope.signal.aborted).toBe(true);
+    expect(scope.signal.reason.message).toBe('parent aborted');
+    expect(scope.deadline()).toBe(null);
+    expect(scope.expired()).toBe(false);
+    scope.close();
+});
+
+test('timeoutScope close', async () => {
+    const scope = futures.timeoutScope(10);
+    scope.close();
+    await sleep(20);
+    expect(scope.signal.aborted).toBe(false);
+});
+
+test('Future chain', async () => {
+    const f = new futures.Future();
+    const c = f.chain(x => x * 2);
+    expect(c).toBeInstanceOf(futures.Future);
+    f.setResult(2);
+    expect(await c).toBe(4);
+    const e = new futures.Future();
+    const c2 = e.chain(null, err => err.message);
+    e.setError(new Error('recovered'));
+    expect(await c2).toBe('recovered');
+});
+
+test('Future chain cancel upstream', async () => {
+    const f = new futures.Future();
+    const c = f.chain(x => x).chain(x => x);
+    c.cancel();
+    expect(f.cancelled()).toBe(true);
+});
+
+test('Future chain cancel downstream', async () => {
+    const f = new futures.Future();
+    const c = f.chain(() => 'not called');
+    f.cancel();
+    expect(c.cancelled()).toBe(true);
+    await expect(c).rejects.toThrow(futures.CancelledError);
+});
+
+test('Future chain cancels returned Future', async () => {
+    const f = new futures.Future();
+    const inner = new futures.Future();
+    const c = f.chain(() => inner);
+    f.setResult();
+    await sleep(0);
+    c.cancel();
+    expect(inner.cancelled()).toBe(true);
+});
+
+test('Future.from', async () => {
+    const f = new futures.Future();
+    const linked = futures.Future.from(f);
+    linked.cancel();
+    expect(f.cancelled()).toBe(true);
+    const f2 = new futures.Future();
+    const linked2 = futures.Future.from(f2);
+    f2.cancel();
+    expect(linked2.cancelled()).toBe(true);
+    expect(await futures.Future.from(Promise.resolve(11))).toBe(11);
+});
+
+test('shield', async () => {
+    const f = new futures.Future();
+    const s = futures.shield(f);
+    s.cancel();
+    expect(f.cancelled()).toBe(false);
+    await expect(futures.waitFor(futures.shield(f), 10)).rejects.toThrow(futures.TimeoutError);
+    expect(f.done()).toBe(false);
+    const s2 = futures.shield(f);
+    f.setResult(1);
+    expect(await s2).toBe(1);
+});
+
+test('Future callback error isolation', async () => {
+    const errors = [];
+    futures.setCallbackErrorHandler((e, f) => errors.push([e.message, f]));
+    try {
+        const f = new futures.Future();
+        const calls = [];
+        f.addImmediateCallback(() => {
+            throw new Error('boom');
+        });
+        f.addImmediateCallback(() => calls.push(1));
+        f.setResult();
+        expect(calls).toEqual([1]);
+        expect(errors).toEqual([['boom', f]]);
+    } finally {
+        futures.setCallbackErrorHandler();
+    }
+});
+
+test('Future remove callbacks', async () => {
+    const f = new futures.Future();
+    const calls = [];
+    const cb = () => calls.push('immediate');
+    const doneCb = () => calls.push('done');
+    f.addImmediateCallback(cb);
+    f.addDoneCallback(doneCb);
+    expect(f.removeImmediateCallback(cb)).toBe(1);
+    expect(f.removeImmediateCallback(cb)).toBe(0);
+    expect(f.removeDoneCallback(doneCb)).toBe(1);
+    f.setResult();
+    await sleep(0);
+    expect(calls).toEqual([]);
+});
+
+test('Future done callbacks run on microtask', async () => {
+    const f = new futures.Future();
+    const calls = [];
+    f.addDoneCallback(() => calls.push('done'));
+    f.addImmediateCallback(() => calls.push('immediate'));
+    f.setResult();
+    expect(calls).toEqual(['immediate']);
+    await Promise.resolve();
+    expect(calls).toEqual(['immediate', 'done']);
+    f.addDoneCallback(() => calls.push('late'));
+    expect(calls.length).toBe(2);
+    await Promise.resolve();
+    expect(calls).toEqual(['immediate', 'done', 'late']);
+});
+
+test('Future label', () => {
+    expect(new futures.Future({label: 'foo'}).label).toBe('foo');
+    expect(new futures.Future().label).toBeUndefined();
+});
+
+test('trackPendingFutures', async () => {
+    futures.trackPendingFutures();
+    try {
+        const owner = {name: 'owner'};
+        const f1 = new futures.Future({label: 'forgotten', owner});
+        const f2 = new futures.Future();
+        await sleep(20);
+        const f3 = new futures.Future();
+        f2.setResult();
+        let pending = futures.getPendingFutures();
+        expect(pending.map(x => x.future)).toEqual([f1, f3]);
+        expect(pending[0].label).toBe('forgotten');
+        expect(pending[0].owner).toBe(owner);
+        expect(pending[0].age).toBeGreaterThanOrEqual(15);
+        expect(typeof pending[0].stack).toBe('string');
+        pending = futures.getPendingFutures({minAge: 15});
+        expect(pending.map(x => x.future)).toEqual([f1]);
+        const logs = [];
+        const leaks = futures.reportLeaks({minAge: 15, log: (...args) => logs.push(args)});
+        expect(leaks.length).toBe(1);
+        expect(logs[0][0]).toMatch(/forgotten/);
+        f1.cancel();
+        f3.cancel();
+        expect(futures.getPendingFutures()).toEqual([]);
+    } finally {
+        futures.trackPendingFutures(false);
+    }
+    new futures.Future();
+    expect(futures.getPendingFutures()).toEqual([]);
+});
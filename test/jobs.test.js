@@ -1,5 +1,5 @@
 import * as jobs from '../src/jobs.mjs';
-import {Future} from '../src/futures.mjs';
+import {Future, CancelledError, TimeoutError} from '../src/futures.mjs';
 
 /*
 let _t;
@@ -150,3 +150,131 @@ test('UnorderedWorkQueue concurrent put', async () => {
     f.setResult();
     await Promise.all(puts);
 });
+
+test('UnorderedWorkQueue cancelled job', async () => {
+    const wq = new jobs.UnorderedWorkQueue();
+    const f = new Future();
+    await wq.put(f);
+    f.cancel();
+    await expect(wq.get()).rejects.toThrow(CancelledError);
+    expect(wq.pending()).toBe(0);
+});
+
+test('RateLimiter wait timeout', async () => {
+    const rl = new jobs.RateLimiter('test', {
+        period: 3600 * 1000,
+        limit: 1
+    }, {sleep: () => new Promise(() => void 0)});
+    await rl.wait();
+    await expect(rl.wait({timeout: 50})).rejects.toThrow(TimeoutError);
+    expect(rl.suspended()).toBe(false);
+    expect(rl._lock.locked()).toBe(false);
+});
+
+test('RateLimiter wait timeout clears sleep timer', async () => {
+    const rl = new jobs.RateLimiter('test', {
+        period: 3600 * 1000,
+        limit: 1
+    });
+    await rl.wait();
+    const origSetTimeout = globalThis.setTimeout;
+    const origClearTimeout = globalThis.clearTimeout;
+    const longTimers = new Set();
+    globalThis.setTimeout = (fn, ms, ...args) => {
+        const id = origSetTimeout(fn, ms, ...args);
+        if (ms > 60000) {
+            longTimers.add(id);
+        }
+        return id;
+    };
+    globalThis.clearTimeout = id => {
+        longTimers.delete(id);
+        return origClearTimeout(id);
+    };
+    try {
+        const w = rl.wait({timeout: 20});
+        await timeout(10);
+        expect(longTimers.size).toBe(1);
+        await expect(w).rejects.toThrow(TimeoutError);
+        expect(longTimers.size).toBe(0);
+        const ac = new AbortController();
+        const w2 = rl.wait({signal: ac.signal});
+        await timeout(10);
+        expect(longTimers.size).toBe(1);
+        ac.abort(new Error('aborted'));
+        await expect(w2).rejects.toThrow('aborted');
+        expect(longTimers.size).toBe(0);
+    } finally {
+        globalThis.setTimeout = origSetTimeout;
+        globalThis.clearTimeout = origClearTimeout;
+    }
+});
+
+test('UnorderedWorkQueue put signal', async () => {
+    const wq = new jobs.UnorderedWorkQueue({maxPending: 1});
+    await wq.put(new Future());
+    const ac = new AbortController();
+    const p = wq.put(new Future(), {signal: ac.signal});
+    await timeout(10);
+    ac.abort(new Error('aborted'));
+    await expect(p).rejects.toThrow('aborted');
+    expect(wq._putters.length).toBe(0);
+    expect(wq.pending()).toBe(1);
+});
+
+test('UnorderedWorkQueue put aborted while a job settles', async () => {
+    for (let ticks = 0; ticks < 6; ticks++) {
+        const wq = new jobs.UnorderedWorkQueue({maxPending: 1});
+        const f1 = new Future();
+        await wq.put(f1);
+        const f2 = new Future();
+        const ac = new AbortController();
+        const p = wq.put(f2, {signal: ac.signal});
+        f1.setResult();
+        for (let i = 0; i < ticks; i++) {
+            await null;
+        }
+        ac.abort(new Error('aborted'));
+        // Either outcome is fine as long as the queue is not left stuck.
+        await p.catch(() => void 0);
+        f2.setResult();
+        expect(wq._releasing).toBe(0);
+        expect(await Promise.race([timeout(10), wq.put(new Future())])).not.toBe('timeout');
+        expect(wq.pending()).toBe(1);
+    }
+});
+
+test('UnorderedWorkQueue get signal', async () => {
+    const wq = new jobs.UnorderedWorkQueue();
+    const ac = new AbortController();
+    const g = wq.get({signal: ac.signal});
+    ac.abort(new Error('aborted'));
+    await expect(g).rejects.toThrow('aborted');
+});
+
+test('RateLimiter wait signal', async () => {
+    const rl = new jobs.RateLimiter('test', {
+        period: 3600 * 1000,
+        limit: 1
+    }, {sleep: () => new Promise(() => void 0)});
+    await rl.wait();
+    const ac = new AbortController();
+    const w = rl.wait({signal: ac.signal});
+    await timeout(10);
+    expect(rl.suspended()).toBe(true);
+    ac.abort(new Error('aborted'));
+    await expect(w).rejects.toThrow('aborted');
+    expect(rl.suspended()).toBe(false);
+    expect(rl._lock.locked()).toBe(false);
+});
+
+test('RateLimiter run', async () => {
+    const rl = new jobs.RateLimiter('test', {
+        period: 3600 * 1000,
+        limit: 1
+    }, {sleep: () => new Promise(() => void 0)});
+    expect(await rl.run(async () => 'ran')).toBe('ran');
+    let ran = false;
+    await expect(rl.run(() => ran = true, {timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(ran).toBe(false);
+});
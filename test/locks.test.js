@@ -1,4 +1,5 @@
 import * as locks from '../src/locks.mjs';
+import {CancelledError, TimeoutError, timeoutScope} from '../src/futures.mjs';
 
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -19,3 +20,934 @@ test('Lock simple use', async () => {
     l.release();
     expect(l.locked()).toBe(false);
 });
+
+test('Lock cancelled acquire', async () => {
+    const l = new locks.Lock();
+    await l.acquire();
+    const f = l.acquire();
+    f.cancel();
+    await expect(f).rejects.toThrow(CancelledError);
+    l.release();
+    expect(l.locked()).toBe(false);
+});
+
+test('Lock acquire timeout', async () => {
+    const l = new locks.Lock();
+    await l.acquire();
+    await expect(l.acquire({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(l._waiting.size).toBe(0);
+    l.release();
+    expect(l.locked()).toBe(false);
+});
+
+test('Semaphore acquire timeout', async () => {
+    const s = new locks.Semaphore(1);
+    await s.acquire();
+    await expect(s.acquire({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(s._waiters.length).toBe(0);
+    s.release();
+    expect(s.locked()).toBe(false);
+});
+
+test('Event wait timeout', async () => {
+    const ev = new locks.Event();
+    await expect(ev.wait({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(ev._waiting.size).toBe(0);
+    setTimeout(() => ev.set(), 10);
+    expect(await ev.wait({timeout: 1000})).toBe(true);
+});
+
+test('Condition wait timeout', async () => {
+    const c = new locks.Condition();
+    await c.acquire();
+    await expect(c.wait({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(c._waiting.size).toBe(0);
+});
+
+test('Lock acquire signal', async () => {
+    const l = new locks.Lock();
+    await l.acquire();
+    const ac = new AbortController();
+    const f = l.acquire({signal: ac.signal});
+    ac.abort(new Error('aborted'));
+    await expect(f).rejects.toThrow('aborted');
+    expect(l._waiting.size).toBe(0);
+    l.release();
+    expect(l.locked()).toBe(false);
+});
+
+test('Semaphore acquire signal', async () => {
+    const s = new locks.Semaphore(0);
+    const ac = new AbortController();
+    const f = s.acquire({signal: ac.signal});
+    ac.abort();
+    await expect(f).rejects.toBeTruthy();
+    expect(s._waiters.length).toBe(0);
+});
+
+test('timeoutScope covers several primitives', async () => {
+    const l = new locks.Lock();
+    const s = new locks.Semaphore(0);
+    const scope = timeoutScope(20);
+    await l.acquire({signal: scope.signal});
+    await expect(s.acquire({signal: scope.signal})).rejects.toThrow(TimeoutError);
+    await expect(l.acquire({signal: scope.signal})).rejects.toThrow(TimeoutError);
+    expect(s._waiters.length).toBe(0);
+    expect(l._waiting.size).toBe(0);
+});
+
+test('Lock owned mode', async () => {
+    const l = new locks.Lock({owned: true});
+    const a = {};
+    const b = {};
+    expect(() => l.acquire()).toThrow(TypeError);
+    await l.acquire({owner: a});
+    expect(() => l.release(b)).toThrow('not owned');
+    expect(() => l.release()).toThrow('not owned');
+    const waiting = l.acquire({owner: b});
+    l.release(a);
+    await waiting;
+    expect(() => l.release(a)).toThrow('not owned');
+    l.release(b);
+    expect(l.locked()).toBe(false);
+});
+
+test('RLock reentrant', async () => {
+    const l = new locks.RLock();
+    const a = {};
+    expect(() => l.acquire()).toThrow(TypeError);
+    await l.acquire({owner: a});
+    await l.acquire({owner: a});
+    expect(l.depth()).toBe(2);
+    expect(l.owner()).toBe(a);
+    l.release(a);
+    expect(l.locked()).toBe(true);
+    l.release(a);
+    expect(l.locked()).toBe(false);
+    expect(l.owner()).toBe(null);
+    expect(() => l.release(a)).toThrow('not acquired');
+});
+
+test('RLock contention', async () => {
+    const l = new locks.RLock();
+    const a = {};
+    const b = {};
+    await l.acquire({owner: a});
+    const bWait = l.acquire({owner: b});
+    const bWait2 = l.acquire({owner: b});
+    expect(await Promise.race([sleep(10).then(() => 'blocked'), bWait])).toBe('blocked');
+    expect(() => l.release(b)).toThrow('not owned');
+    l.release(a);
+    await bWait;
+    await bWait2;
+    expect(l.owner()).toBe(b);
+    expect(l.depth()).toBe(2);
+});
+
+test('RLock cancelled acquire', async () => {
+    const l = new locks.RLock();
+    const a = {};
+    const b = {};
+    await l.acquire({owner: a});
+    await expect(l.acquire({owner: b, timeout: 10})).rejects.toThrow(TimeoutError);
+    l.release(a);
+    expect(l.locked()).toBe(false);
+    expect(l._waiting.size).toBe(0);
+});
+
+test('Condition notify reacquires lock', async () => {
+    const c = new locks.Condition();
+    await c.acquire();
+    const w = c.wait();
+    expect(c.locked()).toBe(false);
+    await c.acquire();
+    c.notify();
+    expect(await Promise.race([sleep(10).then(() => 'blocked'), w])).toBe('blocked');
+    c.release();
+    expect(await w).toBe(true);
+    expect(c.locked()).toBe(true);
+    c.release();
+    expect(c.locked()).toBe(false);
+});
+
+test('Condition notifyAll', async () => {
+    const c = new locks.Condition();
+    const order = [];
+    const waiter = async id => {
+        await c.acquire();
+        try {
+            await c.wait();
+            order.push(id);
+        } finally {
+            c.release();
+        }
+    };
+    const waiters = [waiter(1), waiter(2), waiter(3)];
+    await sleep(0);
+    await c.acquire();
+    c.notifyAll();
+    c.release();
+    await Promise.all(waiters);
+    expect(order).toEqual([1, 2, 3]);
+    expect(c.locked()).toBe(false);
+});
+
+test('Condition timeout reacquires lock', async () => {
+    const c = new locks.Condition();
+    await c.acquire();
+    const w = c.wait({timeout: 10});
+    const other = await c.acquire();
+    expect(other).toBeInstanceOf(locks.Guard);
+    await sleep(20);
+    expect(w.done()).toBe(false); // Blocked on the lock
+    c.release();
+    await expect(w).rejects.toThrow(TimeoutError);
+    expect(c.locked()).toBe(true);
+    expect(c._waiting.size).toBe(0);
+});
+
+test('Condition cancel during reacquire', async () => {
+    const c = new locks.Condition();
+    await c.acquire();
+    const w = c.wait();
+    await c.acquire();
+    c.notify();
+    w.cancel();
+    c.release();
+    expect(c.locked()).toBe(false);
+    expect(c._lock._waiting.size).toBe(0);
+});
+
+test('Condition waitFor', async () => {
+    const c = new locks.Condition();
+    let value = 0;
+    await c.acquire();
+    const w = c.waitFor(() => value >= 2 && value);
+    for (let i = 0; i < 2; i++) {
+        await sleep(0);
+        await c.acquire();
+        value++;
+        c.notifyAll();
+        c.release();
+    }
+    expect(await w).toBe(2);
+    expect(c.locked()).toBe(true);
+    c.release();
+});
+
+test('Condition waitFor timeout', async () => {
+    const c = new locks.Condition();
+    await c.acquire();
+    await expect(c.waitFor(() => false, {timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(c.locked()).toBe(true);
+});
+
+test('Condition waitFor timeout with aborted signal', async () => {
+    const c = new locks.Condition();
+    await c.acquire();
+    const ac = new AbortController();
+    ac.abort(new Error('aborted'));
+    await expect(c.waitFor(() => false, {timeout: 1000, signal: ac.signal})).rejects.toThrow('aborted');
+    expect(c.locked()).toBe(true);
+});
+
+test('Condition with owned lock', async () => {
+    const owner = {};
+    const c = new locks.Condition(new locks.Lock({owned: true}));
+    await c.acquire({owner});
+    expect(() => c.wait()).toThrow('not owned');
+    expect(() => c.wait({owner: 'other'})).toThrow('not owned');
+    expect(c._lock._owner).toBe(owner);
+    expect(c._waiting.size).toBe(0);
+    setTimeout(async () => {
+        await c.acquire({owner: 'other'});
+        c.notify();
+        c.release('other');
+    }, 0);
+    await c.wait({owner});
+    c.release(owner);
+});
+
+test('Condition with re-entered RLock', async () => {
+    const owner = {};
+    const l = new locks.RLock();
+    const c = new locks.Condition(l);
+    await c.acquire({owner});
+    await c.acquire({owner});
+    setTimeout(async () => {
+        await c.acquire({owner: 'other'});
+        expect(l.depth()).toBe(1);
+        c.notify();
+        c.release('other');
+    }, 0);
+    expect(() => c.wait()).toThrow('not owned');
+    expect(l.depth()).toBe(2);
+    expect(await c.wait({owner})).toBe(true);
+    expect(l.owner()).toBe(owner);
+    expect(l.depth()).toBe(2);
+    await expect(c.wait({owner, timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(l.depth()).toBe(2);
+    await expect(c.waitFor(() => false, {owner, timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(l.depth()).toBe(2);
+    c.release(owner);
+    c.release(owner);
+    expect(l.locked()).toBe(false);
+});
+
+test('Semaphore weighted acquire is FIFO', async () => {
+    const s = new locks.Semaphore(4);
+    await s.acquire(3);
+    expect(s.available).toBe(1);
+    const big = s.acquire(4);
+    const small = s.acquire();
+    await null;
+    // The small request fits but must not jump ahead of the big one.
+    expect(small.done()).toBe(false);
+    expect(s.waiting).toBe(2);
+    s.release(3);
+    expect(big.done()).toBe(true);
+    expect(small.done()).toBe(false);
+    s.release(4);
+    expect(small.done()).toBe(true);
+    expect(s.available).toBe(3);
+});
+
+test('Semaphore cancelled head waiter unblocks others', async () => {
+    const s = new locks.Semaphore(2);
+    await s.acquire(2);
+    s.release();
+    const big = s.acquire(2, {timeout: 10});
+    const small = s.acquire({timeout: 1000});
+    await expect(big).rejects.toThrow(TimeoutError);
+    expect(await small).toBeInstanceOf(locks.Guard);
+    expect(s.waiting).toBe(0);
+    expect(s.available).toBe(0);
+});
+
+test('Semaphore setValue', async () => {
+    const s = new locks.Semaphore(2);
+    await s.acquire();
+    const f = s.acquire(2);
+    expect(f.done()).toBe(false);
+    s.setValue(3);
+    expect(f.done()).toBe(true);
+    expect(s.locked()).toBe(true);
+    s.setValue(1);
+    s.release(2);
+    expect(s.locked()).toBe(true);
+    expect(s.available).toBe(0);
+    s.release();
+    expect(s.available).toBe(1);
+});
+
+test('Semaphore locked with queued waiters', async () => {
+    const s = new locks.Semaphore(3);
+    const guard = await s.acquire(2);
+    expect(s.locked()).toBe(false);
+    const big = s.acquire(3);
+    expect(s.available).toBe(1);
+    expect(s.locked()).toBe(true);
+    const small = s.acquire();
+    await null;
+    expect(small.done()).toBe(false);
+    guard.release();
+    (await big).release();
+    (await small).release();
+    expect(s.locked()).toBe(false);
+});
+
+test('Semaphore acquire more than value', async () => {
+    const s = new locks.Semaphore(2);
+    expect(() => s.acquire(3)).toThrow(RangeError);
+    expect(s.waiting).toBe(0);
+    await s.acquire();
+    const big = s.acquire(2);
+    const small = s.acquire();
+    s.setValue(1);
+    await expect(big).rejects.toThrow(RangeError);
+    expect(s.waiting).toBe(1);
+    s.release();
+    expect(await small).toBeInstanceOf(locks.Guard);
+    expect(s.waiting).toBe(0);
+});
+
+test('BoundedSemaphore over release', async () => {
+    const s = new locks.BoundedSemaphore(2);
+    expect(() => s.release()).toThrow('released too many times');
+    await s.acquire(2);
+    s.release(2);
+    expect(() => s.release()).toThrow('released too many times');
+    expect(s.available).toBe(2);
+});
+
+test('Barrier releases all parties', async () => {
+    const b = new locks.Barrier(3);
+    const a = b.wait();
+    const c = b.wait();
+    expect(b.nWaiting).toBe(2);
+    expect(a.done()).toBe(false);
+    const d = b.wait();
+    expect(await Promise.all([a, c, d])).toStrictEqual([0, 1, 2]);
+    expect(b.nWaiting).toBe(0);
+    // Reusable for the next phase.
+    const e = b.wait();
+    expect(e.done()).toBe(false);
+    b.wait();
+    b.wait();
+    expect(await e).toBe(0);
+});
+
+test('Barrier wait cancellation', async () => {
+    const b = new locks.Barrier(2);
+    await expect(b.wait({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(b.nWaiting).toBe(0);
+    const a = b.wait();
+    const c = b.wait();
+    expect(await Promise.all([a, c])).toStrictEqual([0, 1]);
+});
+
+test('Barrier abort and reset', async () => {
+    const b = new locks.Barrier(3);
+    const a = b.wait();
+    b.abort();
+    expect(b.broken).toBe(true);
+    await expect(a).rejects.toThrow(locks.BrokenBarrierError);
+    await expect(b.wait()).rejects.toThrow(locks.BrokenBarrierError);
+    b.reset();
+    expect(b.broken).toBe(false);
+    const c = b.wait();
+    b.reset();
+    await expect(c).rejects.toThrow('Barrier was reset');
+    expect(b.nWaiting).toBe(0);
+});
+
+test('RWLock concurrent readers and exclusive writer', async () => {
+    const l = new locks.RWLock();
+    await l.acquireRead();
+    await l.acquireRead();
+    expect(l.readers).toBe(2);
+    const w = l.acquireWrite();
+    const r = l.acquireRead();
+    expect(w.done()).toBe(false);
+    // Writer preference blocks new readers.
+    expect(r.done()).toBe(false);
+    l.releaseRead();
+    l.releaseRead();
+    expect(w.done()).toBe(true);
+    expect(l.writeLocked()).toBe(true);
+    expect(r.done()).toBe(false);
+    l.releaseWrite();
+    expect(r.done()).toBe(true);
+    expect(l.readers).toBe(1);
+    l.releaseRead();
+    expect(l.locked()).toBe(false);
+    expect(() => l.releaseRead()).toThrow();
+    expect(() => l.releaseWrite()).toThrow();
+});
+
+test('RWLock reader policy', async () => {
+    const l = new locks.RWLock({policy: 'reader'});
+    await l.acquireRead();
+    const w = l.acquireWrite();
+    expect((await Promise.race([l.acquireRead(), w]))).toBeInstanceOf(locks.Guard);
+    expect(l.readers).toBe(2);
+    expect(w.done()).toBe(false);
+    l.releaseRead();
+    l.releaseRead();
+    expect(w.done()).toBe(true);
+});
+
+test('RWLock fifo policy', async () => {
+    const l = new locks.RWLock({policy: 'fifo'});
+    await l.acquireWrite();
+    const r1 = l.acquireRead();
+    const r2 = l.acquireRead();
+    const w = l.acquireWrite();
+    const r3 = l.acquireRead();
+    l.releaseWrite();
+    expect(r1.done() && r2.done()).toBe(true);
+    expect(w.done()).toBe(false);
+    expect(r3.done()).toBe(false);
+    l.releaseRead();
+    l.releaseRead();
+    expect(w.done()).toBe(true);
+    l.releaseWrite();
+    expect(r3.done()).toBe(true);
+    expect(() => new locks.RWLock({policy: 'nope'})).toThrow(TypeError);
+});
+
+test('RWLock cancelled writer admits readers', async () => {
+    const l = new locks.RWLock();
+    await l.acquireRead();
+    const w = l.acquireWrite({timeout: 10});
+    const r = l.acquireRead();
+    await expect(w).rejects.toThrow(TimeoutError);
+    expect(await r).toBeInstanceOf(locks.Guard);
+    expect(l.readers).toBe(2);
+    expect(l._waiting.length).toBe(0);
+});
+
+test('RWLock downgrade and upgrade', async () => {
+    const l = new locks.RWLock();
+    await l.acquireWrite();
+    const r = l.acquireRead();
+    l.downgrade();
+    expect(r.done()).toBe(true);
+    expect(l.readers).toBe(2);
+    const up = l.upgrade();
+    expect(up.done()).toBe(false);
+    expect(() => l.upgrade()).toThrow('Another upgrade is pending');
+    const r2 = l.acquireRead();
+    l.releaseRead();
+    expect(await up).toBe(true);
+    expect(l.writeLocked()).toBe(true);
+    expect(l.readers).toBe(0);
+    expect(r2.done()).toBe(false);
+    l.releaseWrite();
+    expect(r2.done()).toBe(true);
+});
+
+test('RWLock cancelled upgrade keeps read lock', async () => {
+    const l = new locks.RWLock();
+    await l.acquireRead();
+    await l.acquireRead();
+    await expect(l.upgrade({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(l.readers).toBe(2);
+    l.releaseRead();
+    expect(await l.upgrade()).toBe(true);
+    expect(l.writeLocked()).toBe(true);
+});
+
+const dispose = Symbol.dispose || Symbol.for('Symbol.dispose');
+const asyncDispose = Symbol.asyncDispose || Symbol.for('Symbol.asyncDispose');
+
+test('Lock guard', async () => {
+    const l = new locks.Lock();
+    const guard = await l.acquire();
+    expect(guard).toBeInstanceOf(locks.Guard);
+    const f = l.acquire();
+    guard.release();
+    expect(guard.released).toBe(true);
+    const guard2 = await f;
+    // Releasing an old guard again must not release the new holder.
+    guard.release();
+    expect(l.locked()).toBe(true);
+    await guard2[asyncDispose]();
+    expect(l.locked()).toBe(false);
+});
+
+test('Owned Lock and RLock guards', async () => {
+    const owner = {};
+    const l = new locks.Lock({owned: true});
+    (await l.acquire({owner}))[dispose]();
+    expect(l.locked()).toBe(false);
+    const rl = new locks.RLock();
+    const g1 = await rl.acquire({owner});
+    const g2 = await rl.acquire({owner});
+    g2.release();
+    expect(rl.depth()).toBe(1);
+    g1.release();
+    expect(rl.locked()).toBe(false);
+});
+
+test('Semaphore guard releases all permits', async () => {
+    const s = new locks.Semaphore(3);
+    const guard = await s.acquire(2);
+    const f = s.acquire(3);
+    guard[dispose]();
+    (await f).release();
+    expect(s.available).toBe(3);
+});
+
+test('RWLock guard follows downgrade', async () => {
+    const l = new locks.RWLock();
+    const guard = await l.acquireWrite();
+    l.downgrade();
+    guard.release();
+    expect(l.locked()).toBe(false);
+    const rguard = await l.acquireRead();
+    await l.upgrade();
+    rguard.release();
+    expect(l.locked()).toBe(false);
+});
+
+test('run helpers release on error', async () => {
+    const l = new locks.Lock();
+    expect(await l.run(async () => l.locked())).toBe(true);
+    expect(l.locked()).toBe(false);
+    await expect(l.run(() => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(l.locked()).toBe(false);
+    const s = new locks.Semaphore(2);
+    await s.run(() => expect(s.available).toBe(0), 2);
+    await expect(s.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(s.available).toBe(2);
+    const c = new locks.Condition();
+    await c.run(() => expect(c.locked()).toBe(true));
+    expect(c.locked()).toBe(false);
+    const rw = new locks.RWLock();
+    await rw.runRead(() => expect(rw.readers).toBe(1));
+    await rw.runWrite(() => expect(rw.writeLocked()).toBe(true));
+    expect(rw.locked()).toBe(false);
+});
+
+test('run helpers reject invalid arguments', async () => {
+    let ran = false;
+    const fn = () => ran = true;
+    const owned = new locks.Lock({owned: true}).run(fn);
+    expect(owned).toBeInstanceOf(Promise);
+    await expect(owned).rejects.toThrow(TypeError);
+    await expect(new locks.RLock().run(fn)).rejects.toThrow(TypeError);
+    await expect(new locks.Semaphore(1).run(fn, 2)).rejects.toThrow(RangeError);
+    expect(ran).toBe(false);
+});
+
+test('run helper cancelled before acquiring', async () => {
+    const l = new locks.Lock();
+    const guard = await l.acquire();
+    let ran = false;
+    await expect(l.run(() => ran = true, {timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(ran).toBe(false);
+    guard.release();
+    expect(l.locked()).toBe(false);
+});
+
+test('SharedLock across instances', async () => {
+    const a = new locks.SharedLock();
+    const b = locks.SharedLock.from(a.buffer);
+    const guard = await a.acquire();
+    expect(b.locked()).toBe(true);
+    const f = b.acquire();
+    await sleep(10);
+    expect(f.done()).toBe(false);
+    guard.release();
+    expect(await f).toBeInstanceOf(locks.Guard);
+    expect(a.locked()).toBe(true);
+    b.release();
+    expect(a.locked()).toBe(false);
+    expect(() => a.release()).toThrow('Lock is not acquired');
+});
+
+test('SharedLock cancelled wait', async () => {
+    const a = new locks.SharedLock();
+    const b = locks.SharedLock.from(a.buffer);
+    await a.acquire();
+    const f1 = b.acquire({timeout: 10});
+    const f2 = b.acquire();
+    await expect(f1).rejects.toThrow(TimeoutError);
+    a.release();
+    expect(await f2).toBeInstanceOf(locks.Guard);
+    b.release();
+});
+
+test('SharedSemaphore across instances', async () => {
+    const a = new locks.SharedSemaphore(2);
+    const b = locks.SharedSemaphore.from(a.buffer);
+    await a.acquire();
+    await b.acquire();
+    expect(a.locked()).toBe(true);
+    const f = a.acquire();
+    b.release();
+    await f;
+    expect(b.available).toBe(0);
+    expect(await b.run(() => 'ran', {timeout: 10}).catch(e => e)).toBeInstanceOf(TimeoutError);
+    a.release();
+    a.release();
+    expect(b.available).toBe(2);
+});
+
+test('SharedLock with worker thread', async () => {
+    const {Worker} = await import('worker_threads');
+    const lock = new locks.SharedLock();
+    const guard = await lock.acquire();
+    const url = new URL('../src/locks.mjs', import.meta.url).href;
+    const worker = new Worker(`
+        const {parentPort} = require('worker_threads');
+        parentPort.on('message', async ({url, buffer}) => {
+            const locks = await import(url);
+            const lock = locks.SharedLock.from(buffer);
+            await lock.acquire();
+            parentPort.postMessage('acquired');
+            lock.release();
+            parentPort.close();
+        });
+    `, {eval: true});
+    try {
+        const msg = new Promise(resolve => worker.once('message', resolve));
+        worker.postMessage({url, buffer: lock.buffer});
+        await sleep(50);
+        expect(lock.locked()).toBe(true);
+        guard.release();
+        expect(await msg).toBe('acquired');
+    } finally {
+        await worker.terminate();
+    }
+});
+
+test('detectDeadlocks reports wait-for cycle', async () => {
+    const deadlocks = [];
+    const orders = [];
+    locks.detectDeadlocks(true, {
+        onDeadlock: x => deadlocks.push(x),
+        onLockOrder: x => orders.push(x),
+    });
+    try {
+        const a = new locks.Lock();
+        const b = new locks.RLock();
+        const t1 = {name: 't1'};
+        const t2 = {name: 't2'};
+        await a.acquire({owner: t1});
+        await b.acquire({owner: t2});
+        const w1 = b.acquire({owner: t1});
+        expect(deadlocks.length).toBe(0);
+        const w2 = a.acquire({owner: t2, timeout: 10});
+        expect(deadlocks.length).toBe(1);
+        const {cycle} = deadlocks[0];
+        expect(cycle.map(x => [x.owner, x.primitive, x.holder])).toStrictEqual([
+            [t2, a, t1],
+            [t1, b, t2],
+        ]);
+        expect(typeof cycle[0].waitStack).toBe('string');
+        expect(typeof cycle[0].acquireStack).toBe('string');
+        await expect(w2).rejects.toThrow(TimeoutError);
+        // t2 gave up, release b and t1 can proceed.
+        b.release(t2);
+        await w1;
+        expect(orders.length).toBe(0);
+        b.release(t1);
+        a.release();
+    } finally {
+        locks.detectDeadlocks(false);
+    }
+});
+
+test('detectDeadlocks lock order', async () => {
+    const orders = [];
+    locks.detectDeadlocks(true, {onLockOrder: x => orders.push(x)});
+    try {
+        const a = new locks.Lock();
+        const b = new locks.Lock();
+        const owner = {};
+        await a.acquire({owner});
+        await b.acquire({owner});
+        b.release();
+        a.release();
+        expect(orders.length).toBe(0);
+        await b.acquire({owner});
+        await a.acquire({owner});
+        expect(orders.length).toBe(1);
+        expect(orders[0].first).toBe(b);
+        expect(orders[0].second).toBe(a);
+        a.release();
+        b.release();
+        await b.acquire({owner});
+        await a.acquire({owner});
+        expect(orders.length).toBe(1); // Only warned once
+    } finally {
+        locks.detectDeadlocks(false);
+    }
+});
+
+test('KeyedLock per key exclusion', async () => {
+    const kl = new locks.KeyedLock();
+    const a = await kl.acquire('a');
+    await kl.acquire('b');
+    expect(kl.size).toBe(2);
+    expect(Array.from(kl.keys())).toStrictEqual(['a', 'b']);
+    const a2 = kl.acquire('a');
+    expect(a2.done()).toBe(false);
+    a.release();
+    expect(a2.done()).toBe(true);
+    expect(kl.locked('a')).toBe(true);
+    (await a2).release();
+    expect(kl.locked('a')).toBe(false);
+    expect(kl.size).toBe(1);
+    kl.release('b');
+    expect(kl.size).toBe(0);
+    expect(() => kl.release('b')).toThrow('Key is not acquired');
+});
+
+test('KeyedLock drops entry after cancelled wait', async () => {
+    const kl = new locks.KeyedLock();
+    await kl.acquire('a');
+    await expect(kl.acquire('a', {timeout: 10})).rejects.toThrow(TimeoutError);
+    kl.release('a');
+    expect(kl.size).toBe(0);
+    expect(await kl.run('a', () => kl.locked('a'))).toBe(true);
+    expect(kl.size).toBe(0);
+    const owned = new locks.KeyedLock({owned: true});
+    expect(() => owned.acquire('a')).toThrow('Owner required');
+    expect(owned.size).toBe(0);
+});
+
+test('KeyedSemaphore limit per key', async () => {
+    const ks = new locks.KeyedSemaphore(2);
+    await ks.acquire('host1');
+    const g = await ks.acquire('host1');
+    await ks.acquire('host2', 2);
+    expect(ks.locked('host1')).toBe(true);
+    expect(ks.locked('host3')).toBe(false);
+    const w = ks.acquire('host1', {timeout: 1000});
+    g.release();
+    await w;
+    ks.release('host2', 2);
+    expect(Array.from(ks.keys())).toStrictEqual(['host1']);
+    ks.release('host1');
+    ks.release('host1');
+    expect(ks.size).toBe(0);
+    await ks.run('x', async () => expect(ks.size).toBe(1), 2);
+    expect(ks.size).toBe(0);
+});
+
+test('WaitGroup', async () => {
+    const wg = new locks.WaitGroup();
+    expect(await wg.wait()).toBe(true);
+    wg.add(2);
+    const w = wg.wait();
+    wg.done();
+    expect(w.done()).toBe(false);
+    expect(wg.count).toBe(1);
+    wg.done();
+    expect(await w).toBe(true);
+    expect(() => wg.done()).toThrow('Count can not be negative');
+    wg.add();
+    await expect(wg.wait({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(wg._finished._waiting.size).toBe(0);
+});
+
+test('CountdownLatch', async () => {
+    expect(() => new locks.CountdownLatch(-1)).toThrow();
+    expect(await new locks.CountdownLatch(0).wait()).toBe(true);
+    const latch = new locks.CountdownLatch(3);
+    const ac = new AbortController();
+    const aborted = latch.wait({signal: ac.signal});
+    ac.abort(new Error('aborted'));
+    await expect(aborted).rejects.toThrow('aborted');
+    const w = latch.wait();
+    latch.countDown(2);
+    expect(w.done()).toBe(false);
+    expect(() => latch.countDown(2)).toThrow('Count can not be negative');
+    latch.countDown();
+    expect(await w).toBe(true);
+    expect(latch.count).toBe(0);
+});
+
+test('Watchable waitUntil', async () => {
+    const w = new locks.Watchable(0);
+    expect(await w.waitUntil(x => x === 0)).toBe(0);
+    const f = w.waitUntil(x => x >= 3);
+    w.set(1);
+    expect(w.update(x => x + 1)).toBe(2);
+    expect(f.done()).toBe(false);
+    w.update(x => x + 1);
+    expect(await f).toBe(3);
+    expect(w._waiting.size).toBe(0);
+    const bad = w.waitUntil(x => { if (x > 3) throw new Error('boom'); });
+    w.set(4);
+    await expect(bad).rejects.toThrow('boom');
+    await expect(w.waitUntil(x => x > 100, {timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(w._waiting.size).toBe(0);
+});
+
+test('Watchable waitForChange', async () => {
+    const w = new locks.Watchable('a');
+    const f = w.waitForChange();
+    w.set('a');
+    expect(f.done()).toBe(false);
+    w.set('b');
+    expect(await f).toBe('b');
+});
+
+test('Watchable changes coalesce', async () => {
+    const w = new locks.Watchable(0);
+    const ac = new AbortController();
+    const seen = [];
+    const consumer = (async () => {
+        for await (const x of w.changes({signal: ac.signal})) {
+            seen.push(x);
+            await sleep(20);
+        }
+    })();
+    await sleep(0);
+    w.set(1);
+    await sleep(5);
+    w.set(2);
+    w.set(3);
+    await sleep(30);
+    ac.abort();
+    await expect(consumer).rejects.toThrow();
+    expect(seen).toStrictEqual([1, 3]);
+});
+
+test('Watchable changes return cancels the wait', async () => {
+    const w = new locks.Watchable(0);
+    const it = w.changes();
+    const next = it.next();
+    expect(w._waiting.size).toBe(1);
+    expect(await it.return()).toStrictEqual({done: true, value: undefined});
+    expect(await next).toStrictEqual({done: true, value: undefined});
+    expect(w._waiting.size).toBe(0);
+    w.set(1);
+    expect(await it.next()).toStrictEqual({done: true, value: undefined});
+});
+
+test('Lock stats and hooks', async () => {
+    const events = [];
+    const l = new locks.Lock({
+        name: 'db',
+        stats: true,
+        holdTimeBuckets: [5, 1000],
+        hooks: {
+            onAcquire: x => events.push(['acquire', x.name, x.waitTime]),
+            onRelease: x => events.push(['release', x.name]),
+            onContention: x => events.push(['contention', x.name, x.waiting]),
+        }
+    });
+    expect(l.name).toBe('db');
+    const g = await l.acquire();
+    const w1 = l.acquire();
+    const w2 = l.acquire({timeout: 10});
+    expect(l.stats.waiting).toBe(2);
+    await expect(w2).rejects.toThrow(TimeoutError);
+    expect(l.stats.waiting).toBe(1);
+    await sleep(20);
+    g.release();
+    (await w1).release();
+    const stats = l.stats;
+    expect(stats.acquisitions).toBe(2);
+    expect(stats.contended).toBe(2);
+    expect(stats.waiting).toBe(0);
+    expect(stats.peakWaiting).toBe(2);
+    expect(stats.maxWaitTime).toBeGreaterThanOrEqual(20);
+    expect(stats.totalWaitTime).toBe(stats.maxWaitTime);
+    expect(stats.maxHoldTime).toBeGreaterThanOrEqual(20);
+    expect(stats.holdTimes.map(x => x.le)).toStrictEqual([5, 1000, Infinity]);
+    expect(stats.holdTimes.map(x => x.count)).toStrictEqual([1, 1, 0]);
+    expect(events.map(x => x.slice(0, 2))).toStrictEqual([
+        ['acquire', 'db'],
+        ['contention', 'db'],
+        ['contention', 'db'],
+        ['release', 'db'],
+        ['acquire', 'db'],
+        ['release', 'db'],
+    ]);
+    expect(events[2][2]).toBe(2);
+    expect(new locks.Lock().stats).toBe(null);
+});
+
+test('Semaphore and Condition stats', async () => {
+    const s = new locks.Semaphore(2, {name: 'pool', stats: true});
+    const g1 = await s.acquire(2);
+    const f = s.acquire();
+    expect(s.stats.waiting).toBe(1);
+    g1.release();
+    (await f).release();
+    expect(s.stats.acquisitions).toBe(2);
+    expect(s.stats.contended).toBe(1);
+    expect(s.stats.waiting).toBe(0);
+    expect(s.stats.holdTimes.reduce((agg, x) => agg + x.count, 0)).toBe(2);
+    const c = new locks.Condition(undefined, {name: 'cond', stats: true});
+    expect(c.name).toBe('cond');
+    await c.run(() => void 0);
+    expect(c.stats.acquisitions).toBe(1);
+    expect(new locks.Condition().stats).toBe(null);
+});
@@ -1,4 +1,5 @@
 import * as queues from '../src/queues.mjs';
+import {Future, CancelledError, TimeoutError, trackPendingFutures, getPendingFutures} from '../src/futures.mjs';
 
 test('Queue sanity', () => {
     new queues.Queue();
@@ -59,3 +60,222 @@ test('PriorityQueue out of order alpha prio', async () => {
     expect(await q.get()).toBe('middle');
     expect(await q.get()).toBe('last');
 });
+
+test('Queue get cancelled', async () => {
+    const q = new queues.Queue();
+    const g = q.get();
+    g.cancel();
+    await expect(g).rejects.toThrow(CancelledError);
+    await q.put(1);
+    expect(q.size).toBe(1);
+    expect(await q.get()).toBe(1);
+});
+
+test('Queue get timeout', async () => {
+    const q = new queues.Queue();
+    await expect(q.get({timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(q._getters.length).toBe(0);
+});
+
+test('Queue put timeout', async () => {
+    const q = new queues.Queue(1);
+    await q.put(1);
+    await expect(q.put(2, {timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(q._putters.length).toBe(0);
+    expect(q.size).toBe(1);
+});
+
+test('PriorityQueue put timeout', async () => {
+    const q = new queues.PriorityQueue(1);
+    await q.put('a', 1);
+    await expect(q.put('b', 0, {timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(await q.get()).toBe('a');
+});
+
+test('Queue join timeout', async () => {
+    const q = new queues.Queue();
+    await q.put(1);
+    await expect(q.join({timeout: 10})).rejects.toThrow(TimeoutError);
+    q.taskDone();
+    expect(await q.join({timeout: 10})).toBe(true);
+});
+
+test('Queue get signal', async () => {
+    const q = new queues.Queue();
+    const ac = new AbortController();
+    const g = q.get({signal: ac.signal});
+    ac.abort(new Error('aborted'));
+    await expect(g).rejects.toThrow('aborted');
+    expect(q._getters.length).toBe(0);
+    await q.put(1);
+    expect(q.size).toBe(1);
+});
+
+test('Queue put signal', async () => {
+    const q = new queues.Queue(1);
+    await q.put(1);
+    const ac = new AbortController();
+    const p = q.put(2, {signal: ac.signal});
+    ac.abort(new Error('aborted'));
+    await expect(p).rejects.toThrow('aborted');
+    expect(q._putters.length).toBe(0);
+});
+
+test('Queue wait owner tracking', async () => {
+    trackPendingFutures();
+    try {
+        const q = new queues.Queue();
+        const w = q.wait();
+        const owned = getPendingFutures().filter(x => x.owner === q);
+        expect(owned.length).toBeGreaterThan(0);
+        w.cancel();
+        expect(getPendingFutures().filter(x => x.owner === q)).toEqual([]);
+    } finally {
+        trackPendingFutures(false);
+    }
+});
+
+test('Queue shutdown drains then throws', async () => {
+    const q = new queues.Queue(1);
+    await q.put(1);
+    const putter = q.put(2);
+    q.shutdown();
+    expect(q.isShutdown()).toBe(true);
+    await expect(putter).rejects.toThrow(queues.QueueShutDown);
+    expect(() => q.putNoWait(3)).toThrow(queues.QueueShutDown);
+    expect(await q.get()).toBe(1);
+    await expect(q.get()).rejects.toThrow(queues.QueueShutDown);
+    expect(() => q.getNoWait()).toThrow(queues.QueueShutDown);
+    expect(() => q.getAllNoWait()).toThrow(queues.QueueShutDown);
+    q.taskDone();
+    expect(await q.join()).toBe(true);
+});
+
+test('Queue shutdown wakes getters', async () => {
+    const q = new queues.Queue();
+    const g1 = q.get();
+    const g2 = q.getAll({size: 3});
+    q.putNoWait('a');
+    q.putNoWait('b');
+    expect(await g1).toBe('a');
+    q.shutdown();
+    // No more items will arrive, so the remaining items satisfy the wait.
+    expect(await g2).toStrictEqual(['b']);
+    await expect(q.wait()).rejects.toThrow(queues.QueueShutDown);
+    expect(q._getters.length).toBe(0);
+});
+
+test('Queue shutdown immediate', async () => {
+    const q = new queues.PriorityQueue();
+    q.putNoWait('a', 1);
+    q.putNoWait('b', 2);
+    const join = q.join();
+    expect(join.done()).toBe(false);
+    q.shutdown(true);
+    expect(await join).toBe(true);
+    expect(q.size).toBe(0);
+    await expect(q.get()).rejects.toThrow(queues.QueueShutDown);
+    await expect(q.put('c', 3)).rejects.toThrow(queues.QueueShutDown);
+    const lifo = new queues.LifoQueue();
+    lifo.putNoWait(1);
+    lifo.shutdown(true);
+    expect(() => lifo.getNoWait()).toThrow(queues.QueueShutDown);
+});
+
+test('Queue async iteration', async () => {
+    const q = new queues.Queue();
+    q.putNoWait(1);
+    q.putNoWait(2);
+    q.shutdown();
+    const items = [];
+    for await (const x of q) {
+        items.push(x);
+    }
+    expect(items).toStrictEqual([1, 2]);
+    expect(q.join().done()).toBe(false);
+});
+
+test('Queue async iteration autoTaskDone', async () => {
+    const q = new queues.LifoQueue();
+    q.putNoWait(1);
+    q.putNoWait(2);
+    q.putNoWait(3);
+    const items = [];
+    await expect((async () => {
+        for await (const x of q.items({autoTaskDone: true})) {
+            items.push(x);
+            if (x === 2) {
+                throw new Error('boom');
+            }
+        }
+    })()).rejects.toThrow('boom');
+    expect(items).toStrictEqual([3, 2]);
+    q.getNoWait();
+    q.taskDone();
+    expect(await q.join({timeout: 100})).toBe(true);
+});
+
+test('Queue iterator return cancels pending get', async () => {
+    const q = new queues.PriorityQueue();
+    const it = q.items();
+    const next = it.next();
+    expect(q._getters.length).toBe(1);
+    expect(await it.return()).toStrictEqual({done: true, value: undefined});
+    expect(await next).toStrictEqual({done: true, value: undefined});
+    expect(q._getters.length).toBe(0);
+    expect(await it.next()).toStrictEqual({done: true, value: undefined});
+    q.putNoWait('a', 1);
+    expect(q.size).toBe(1);
+});
+
+test('Queue put returns cancellable Future', async () => {
+    const q = new queues.Queue(1);
+    await q.put(1);
+    const p = q.put(2);
+    expect(p).toBeInstanceOf(Future);
+    expect(q._putters.length).toBe(1);
+    p.cancel();
+    await expect(p).rejects.toThrow(CancelledError);
+    expect(q._putters.length).toBe(0);
+    const p2 = q.put(3);
+    expect(q.getNoWait()).toBe(1);
+    await p2;
+    expect(q.getNoWait()).toBe(3);
+});
+
+test('Queue waitSpace', async () => {
+    const q = new queues.Queue(3);
+    q.putNoWait(1);
+    q.putNoWait(2);
+    expect(await q.waitSpace()).toBeUndefined();
+    const w = q.waitSpace({size: 2});
+    const small = q.waitSpace();
+    expect(w.done()).toBe(false);
+    q.getNoWait();
+    expect(w.done()).toBe(true);
+    expect(small.done()).toBe(true);
+    await expect(q.waitSpace({size: 3, timeout: 10})).rejects.toThrow(TimeoutError);
+    expect(q._putters.length).toBe(0);
+    q.shutdown();
+    await expect(q.waitSpace()).rejects.toThrow(queues.QueueShutDown);
+});
+
+test('Queue unsatisfied waiter passes wake up along', async () => {
+    const q = new queues.Queue(2);
+    q.putNoWait(1);
+    q.putNoWait(2);
+    const big = q.waitSpace({size: 2});
+    const put = q.put(3);
+    q.getNoWait();
+    // Only one slot is free; not enough for `big` but enough for `put`.
+    await put;
+    expect(big.done()).toBe(false);
+    big.cancel();
+    const g = new queues.Queue();
+    const getAll = g.getAll({size: 2});
+    const get = g.get();
+    g.putNoWait('a');
+    expect(await get).toBe('a');
+    expect(getAll.done()).toBe(false);
+    getAll.cancel();
+});
@@ -0,0 +1,179 @@
+import * as tasks from '../src/tasks.mjs';
+import * as locks from '../src/locks.mjs';
+import {CancelledError} from '../src/futures.mjs';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('Task sanity', async () => {
+    const t = new tasks.Task(async () => 11, {name: 'foo'});
+    expect(t.name).toBe('foo');
+    expect(t.state).toBe('pending');
+    expect(typeof t.creationStack).toBe('string');
+    expect(await t).toBe(11);
+    expect(t.state).toBe('done');
+    expect(t.result()).toBe(11);
+});
+
+test('Task error', async () => {
+    const t = new tasks.Task(async () => {
+        throw new Error('fail');
+    });
+    await expect(t).rejects.toThrow('fail');
+    expect(t.state).toBe('done');
+});
+
+test('Task cancel before start', async () => {
+    let ran = false;
+    const t = new tasks.Task(async () => void (ran = true));
+    expect(t.cancel()).toBe(true);
+    expect(t.state).toBe('cancelled');
+    await expect(t).rejects.toThrow(CancelledError);
+    expect(ran).toBe(false);
+});
+
+test('Task cancel checkpoint', async () => {
+    let loops = 0;
+    const t = new tasks.Task(async task => {
+        for (;;) {
+            loops++;
+            await task.checkpoint();
+        }
+    });
+    await sleep(0);
+    expect(t.state).toBe('running');
+    expect(t.cancel('stop')).toBe(true);
+    expect(t.cancelling()).toBe(true);
+    await expect(t).rejects.toThrow('stop');
+    expect(t.cancelled()).toBe(true);
+    expect(loops).toBeGreaterThan(0);
+});
+
+test('Task cancel interrupts waits', async () => {
+    const lock = new locks.Lock();
+    await lock.acquire();
+    const t = new tasks.Task(async task => {
+        await lock.acquire({signal: task.signal});
+    });
+    await sleep(0);
+    t.cancel();
+    await expect(t).rejects.toThrow(CancelledError);
+    expect(lock._waiting.size).toBe(0);
+});
+
+test('Task cancel absorbed', async () => {
+    const t = new tasks.Task(async task => {
+        try {
+            await task.checkpoint();
+        } catch(e) {
+            return 'ignored';
+        }
+    });
+    await Promise.resolve();
+    t.cancel();
+    expect(await t).toBe('ignored');
+    expect(t.cancelled()).toBe(false);
+});
+
+test('Task external signal', async () => {
+    const ac = new AbortController();
+    const t = new tasks.Task(async task => {
+        await new locks.Event().wait({signal: task.signal});
+    }, {signal: ac.signal});
+    await sleep(0);
+    ac.abort();
+    await expect(t).rejects.toThrow(CancelledError);
+});
+
+test('TaskGroup join', async () => {
+    const group = new tasks.TaskGroup();
+    const t1 = group.spawn(async () => {
+        await sleep(10);
+        return 1;
+    });
+    const t2 = group.spawn(async () => 2);
+    expect(group.size).toBe(2);
+    await group.join();
+    expect(t1.result()).toBe(1);
+    expect(t2.result()).toBe(2);
+    expect(group.size).toBe(0);
+    expect(() => group.spawn(async () => void 0)).toThrow();
+});
+
+test('TaskGroup empty join', async () => {
+    const group = new tasks.TaskGroup();
+    await group.join();
+});
+
+test('TaskGroup failure cancels siblings', async () => {
+    const group = new tasks.TaskGroup();
+    const sibling = group.spawn(async task => {
+        await new locks.Event().wait({signal: task.signal});
+    });
+    group.spawn(async () => {
+        await sleep(10);
+        throw new Error('fail');
+    });
+    let error;
+    try {
+        await group.join();
+    } catch(e) {
+        error = e;
+    }
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors.map(x => x.message)).toEqual(['fail']);
+    expect(sibling.cancelled()).toBe(true);
+});
+
+test('TaskGroup cancel', async () => {
+    const group = new tasks.TaskGroup();
+    const t = group.spawn(async task => {
+        for (;;) {
+            await task.checkpoint();
+        }
+    });
+    await sleep(5);
+    const joining = group.join();
+    expect(group.cancel()).toBe(true);
+    await expect(joining).rejects.toThrow(CancelledError);
+    expect(t.cancelled()).toBe(true);
+    expect(() => group.spawn(async () => void 0)).toThrow();
+});
+
+test('TaskGroup signal listener is removed', async () => {
+    const listening = signal => {
+        const listeners = new Set();
+        const add = signal.addEventListener.bind(signal);
+        const remove = signal.removeEventListener.bind(signal);
+        signal.addEventListener = (type, fn, options) => (listeners.add(fn), add(type, fn, options));
+        signal.removeEventListener = (type, fn) => (listeners.delete(fn), remove(type, fn));
+        return listeners;
+    };
+    const joined = new AbortController();
+    const joinedListeners = listening(joined.signal);
+    const group = new tasks.TaskGroup({signal: joined.signal});
+    expect(joinedListeners.size).toBe(1);
+    group.spawn(async () => 1);
+    await group.join();
+    expect(joinedListeners.size).toBe(0);
+    const cancelled = new AbortController();
+    const cancelledListeners = listening(cancelled.signal);
+    const group2 = new tasks.TaskGroup({signal: cancelled.signal});
+    const t = group2.spawn(async task => {
+        for (;;) {
+            await task.checkpoint();
+        }
+    });
+    expect(cancelledListeners.size).toBe(1);
+    group2.cancel();
+    await expect(t).rejects.toThrow(CancelledError);
+    expect(cancelledListeners.size).toBe(0);
+});
+
+test('TaskGroup asyncDispose', async () => {
+    const group = new tasks.TaskGroup();
+    const t = group.spawn(async () => 1);
+    await group[Symbol.asyncDispose || Symbol.for('Symbol.asyncDispose')]();
+    expect(t.result()).toBe(1);
+});